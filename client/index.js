@@ -16,16 +16,18 @@ try {
 }
 
 // Node.js modules — lazy-loaded (may not be available in all CEP runtimes)
-let fs, path, os;
+let fs, path, os, url;
 try {
   fs = require('fs');
   path = require('path');
   os = require('os');
+  url = require('url');
 } catch (e) {
   console.warn('Node.js modules not available:', e.message);
   fs = null;
   path = null;
   os = null;
+  url = null;
 }
 
 /**
@@ -56,26 +58,116 @@ function callExtendScript(fnName, ...args) {
 const STORAGE_KEYS = {
   API_KEY: 'elevenlabs_api_key',
   LAST_VOICE: 'elevenlabs_last_voice',
+  FAVORITE_VOICES: 'elevenlabs_favorite_voices',
+  RECENT_VOICES: 'elevenlabs_recent_voices',
   LAST_MODEL: 'elevenlabs_last_model',
+  MODELS_CACHE: 'elevenlabs_models_cache',
+  PRESETS: 'elevenlabs_presets',
+  ACTIVE_PRESET: 'elevenlabs_active_preset',
+  PRESET_FOLDER: 'elevenlabs_preset_folder',
   STABILITY: 'elevenlabs_stability',
   CLARITY: 'elevenlabs_clarity',
+  STYLE: 'elevenlabs_style',
+  SPEAKER_BOOST: 'elevenlabs_speaker_boost',
+  SPEED: 'elevenlabs_speed',
+  SEED: 'elevenlabs_seed',
+  LANGUAGE_CODE: 'elevenlabs_language_code',
+  TEXT_NORMALIZATION: 'elevenlabs_text_normalization',
+  POST_PROCESSING: 'elevenlabs_post_processing',
+  DICTIONARIES_CACHE: 'elevenlabs_dictionaries_cache',
+  DICTIONARY_RULES: 'elevenlabs_dictionary_rules',
+  ATTACHED_DICTIONARIES: 'elevenlabs_attached_dictionaries',
+  DICTIONARY_MODE: 'elevenlabs_dictionary_mode',
   OUTPUT_FORMAT: 'elevenlabs_output_format',
   AUTO_INSERT: 'elevenlabs_auto_insert',
   AUDIO_TRACK: 'elevenlabs_audio_track',
+  // History from before the generation library — imported into it once
   HISTORY: 'elevenlabs_history',
+  WAV_BIT_DEPTH: 'elevenlabs_wav_bit_depth',
+  WAV_SAMPLE_RATE: 'elevenlabs_wav_sample_rate',
+  SCRIPT_MODE: 'elevenlabs_script_mode',
+  DIALOGUE_SPEAKERS: 'elevenlabs_dialogue_speakers',
+  DIALOGUE_GAP: 'elevenlabs_dialogue_gap',
+  CAPTIONS: 'elevenlabs_captions',
+  STREAMING: 'elevenlabs_streaming',
+  MARKER_LINKS: 'elevenlabs_marker_links',
+  FIT_ENABLED: 'elevenlabs_fit_enabled',
+  FIT_SOURCE: 'elevenlabs_fit_source',
+  FIT_SECONDS: 'elevenlabs_fit_seconds',
+  FIT_TOLERANCE: 'elevenlabs_fit_tolerance',
+  FIT_METHOD: 'elevenlabs_fit_method',
+  INSERT_MODE: 'elevenlabs_insert_mode',
+  BATCH_CONCURRENCY: 'elevenlabs_batch_concurrency',
+  BATCH_SUB_BIN: 'elevenlabs_batch_sub_bin',
+  STS_MODEL: 'elevenlabs_sts_model',
+  REMOVE_NOISE: 'elevenlabs_remove_noise',
+  PANEL: 'elevenlabs_panel',
+  SFX_AUTO_DURATION: 'elevenlabs_sfx_auto_duration',
+  SFX_DURATION: 'elevenlabs_sfx_duration',
+  SFX_INFLUENCE: 'elevenlabs_sfx_influence',
+  SFX_TRACK: 'elevenlabs_sfx_track',
+  JOB_BUDGET: 'elevenlabs_job_budget',
+  BUDGET_ACTION: 'elevenlabs_budget_action',
 };
 
-const CHAR_LIMIT = 5000;
+// Max characters per API request when the model doesn't say — longer scripts are split into parts
+const DEFAULT_CHAR_LIMIT = 5000;
+const DEFAULT_MODEL = 'eleven_multilingual_v2';
+
+// Models that accept a language_code to enforce the language — the API rejects it for the rest
+const LANGUAGE_CODE_MODELS = ['eleven_turbo_v2_5', 'eleven_flash_v2_5'];
+
+// Seeds the API accepts (unsigned 32-bit)
+const MAX_SEED = 4294967295;
+
+// Folders (and matching project bins) generated audio is saved to
+const VOICEOVER_FOLDER = 'Voiceovers';
+const SFX_FOLDER = 'SFX';
 
 // ─── State ──────────────────────────────────────────────────────────────────
 let currentScreen = 'setup';
+let activePanel = 'voiceover';
 let lastAudioBuffer = null;
 let lastAudioPath = null;
-let history = [];
+let library = [];
 let voicesCache = [];
+let favoriteVoices = [];
+let recentVoices = [];
+let discoverResults = null;
+let editingVoice = null;
+let designedVoices = null;
+let modelsCache = [];
+let pronunciationDictionaries = [];
+let dictionaryRules = {};
+let editingDictionary = null;
+let usage = null;
+let budgetConfirmed = false;
 let isGenerating = false;
+let generationController = null;
+let streamPlayer = null;
+let playerItem = null;
+let randomSeed = null;
+let libraryRegenerateSeed = null;
+let longScriptJob = null;
+let scriptMode = 'single';
+let dialogueSpeakers = {};
+let renderedSpeakersKey = '';
+let sequenceMarkers = [];
+let markerSelection = {};
+let markerLinks = {};
+let batchManifest = null;
+let batchQueue = null;
+let selectedClip = null;
+let takes = { version: 1, lines: {} };
+let takePlayer = null;
+let presets = [];
+let sharedPresets = [];
 let settingsOpen = false;
 
+// Project metadata kept next to the project's audio files
+const takesStore = new ProjectStore('takes.json');
+const libraryStore = new ProjectStore('library.ndjson');
+
 // ─── DOM — Setup Screen ────────────────────────────────────────────────────
 const setupScreen = document.getElementById('setupScreen');
 const mainScreen = document.getElementById('mainScreen');
@@ -88,29 +180,169 @@ const openElevenLabs = document.getElementById('openElevenLabs');
 const settingsBtn = document.getElementById('settingsBtn');
 const settingsDropdown = document.getElementById('settingsDropdown');
 const disconnectBtn = document.getElementById('disconnectBtn');
+const usageTier = document.getElementById('usageTier');
+const usageBarFill = document.getElementById('usageBarFill');
+const usageText = document.getElementById('usageText');
+const jobBudget = document.getElementById('jobBudget');
+const budgetAction = document.getElementById('budgetAction');
 const refreshVoicesBtn = document.getElementById('refreshVoicesBtn');
 const voiceSelect = document.getElementById('voiceSelect');
 const previewVoiceBtn = document.getElementById('previewVoiceBtn');
+const editVoiceBtn = document.getElementById('editVoiceBtn');
+const voiceSearch = document.getElementById('voiceSearch');
+const voiceCategoryFilter = document.getElementById('voiceCategoryFilter');
+const voiceGenderFilter = document.getElementById('voiceGenderFilter');
+const voiceAgeFilter = document.getElementById('voiceAgeFilter');
+const voiceAccentFilter = document.getElementById('voiceAccentFilter');
+const voiceUseCaseFilter = document.getElementById('voiceUseCaseFilter');
+const voiceList = document.getElementById('voiceList');
+const voiceListSummary = document.getElementById('voiceListSummary');
+const discoverVoices = document.getElementById('discoverVoices');
+const discoverSearch = document.getElementById('discoverSearch');
+const discoverSearchBtn = document.getElementById('discoverSearchBtn');
+const discoverLanguage = document.getElementById('discoverLanguage');
+const discoverGender = document.getElementById('discoverGender');
+const discoverAccent = document.getElementById('discoverAccent');
+const discoverUseCase = document.getElementById('discoverUseCase');
+const discoverSort = document.getElementById('discoverSort');
+const discoverList = document.getElementById('discoverList');
+const discoverMoreBtn = document.getElementById('discoverMoreBtn');
+const discoverSummary = document.getElementById('discoverSummary');
+const cloneVoiceBtn = document.getElementById('cloneVoiceBtn');
+const voiceEditor = document.getElementById('voiceEditor');
+const voiceEditorTitle = document.getElementById('voiceEditorTitle');
+const cloneName = document.getElementById('cloneName');
+const cloneDescription = document.getElementById('cloneDescription');
+const cloneLabels = document.getElementById('cloneLabels');
+const cloneSamples = document.getElementById('cloneSamples');
+const addSampleFilesBtn = document.getElementById('addSampleFilesBtn');
+const addProjectSamplesBtn = document.getElementById('addProjectSamplesBtn');
+const sampleFiles = document.getElementById('sampleFiles');
+const cloneRemoveNoise = document.getElementById('cloneRemoveNoise');
+const saveVoiceBtn = document.getElementById('saveVoiceBtn');
+const deleteVoiceBtn = document.getElementById('deleteVoiceBtn');
+const cancelVoiceBtn = document.getElementById('cancelVoiceBtn');
+const designVoiceBtn = document.getElementById('designVoiceBtn');
+const designEditor = document.getElementById('designEditor');
+const designName = document.getElementById('designName');
+const designDescription = document.getElementById('designDescription');
+const designText = document.getElementById('designText');
+const designPreviewsBtn = document.getElementById('designPreviewsBtn');
+const closeDesignBtn = document.getElementById('closeDesignBtn');
+const designCandidates = document.getElementById('designCandidates');
+const presetSelect = document.getElementById('presetSelect');
+const presetName = document.getElementById('presetName');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const renamePresetBtn = document.getElementById('renamePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const presetFolder = document.getElementById('presetFolder');
+const exportPresetBtn = document.getElementById('exportPresetBtn');
+const importPresetBtn = document.getElementById('importPresetBtn');
+const importPresetFile = document.getElementById('importPresetFile');
 const modelSelect = document.getElementById('modelSelect');
+const modelInfo = document.getElementById('modelInfo');
 const stabilitySlider = document.getElementById('stability');
 const stabilityValue = document.getElementById('stabilityValue');
 const claritySlider = document.getElementById('clarity');
 const clarityValue = document.getElementById('clarityValue');
+const styleSlider = document.getElementById('style');
+const styleValue = document.getElementById('styleValue');
+const speedSlider = document.getElementById('speed');
+const speedValue = document.getElementById('speedValue');
+const speakerBoost = document.getElementById('speakerBoost');
+const languageCode = document.getElementById('languageCode');
+const textNormalization = document.getElementById('textNormalization');
+const seedInput = document.getElementById('seedInput');
+const trimSilence = document.getElementById('trimSilence');
+const silenceThreshold = document.getElementById('silenceThreshold');
+const padHead = document.getElementById('padHead');
+const padTail = document.getElementById('padTail');
+const loudnessTarget = document.getElementById('loudnessTarget');
+const truePeakCeiling = document.getElementById('truePeakCeiling');
+const dictionaryList = document.getElementById('dictionaryList');
+const attachedDictionaries = document.getElementById('attachedDictionaries');
+const dictionaryMode = document.getElementById('dictionaryMode');
+const newDictionaryBtn = document.getElementById('newDictionaryBtn');
+const refreshDictionariesBtn = document.getElementById('refreshDictionariesBtn');
+const dictionaryEditor = document.getElementById('dictionaryEditor');
+const dictionaryName = document.getElementById('dictionaryName');
+const ruleList = document.getElementById('ruleList');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const saveDictionaryBtn = document.getElementById('saveDictionaryBtn');
+const cancelDictionaryBtn = document.getElementById('cancelDictionaryBtn');
+const scriptModeTabs = document.getElementById('scriptModeTabs');
 const scriptText = document.getElementById('scriptText');
 const charCount = document.getElementById('charCount');
+const speakerList = document.getElementById('speakerList');
+const dialogueGap = document.getElementById('dialogueGap');
+const markerList = document.getElementById('markerList');
+const markerSummary = document.getElementById('markerSummary');
+const refreshMarkersBtn = document.getElementById('refreshMarkersBtn');
+const loadManifestBtn = document.getElementById('loadManifestBtn');
+const manifestFile = document.getElementById('manifestFile');
+const batchList = document.getElementById('batchList');
+const batchSummary = document.getElementById('batchSummary');
+const batchConcurrency = document.getElementById('batchConcurrency');
+const batchSubBin = document.getElementById('batchSubBin');
+const batchPauseBtn = document.getElementById('batchPauseBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const clipInfo = document.getElementById('clipInfo');
+const refreshClipBtn = document.getElementById('refreshClipBtn');
+const stsModel = document.getElementById('stsModel');
+const removeNoise = document.getElementById('removeNoise');
+const panelTabs = document.getElementById('panelTabs');
+const sfxPrompt = document.getElementById('sfxPrompt');
+const sfxAutoDuration = document.getElementById('sfxAutoDuration');
+const sfxDurationRow = document.getElementById('sfxDurationRow');
+const sfxDuration = document.getElementById('sfxDuration');
+const sfxDurationValue = document.getElementById('sfxDurationValue');
+const sfxInfluence = document.getElementById('sfxInfluence');
+const sfxInfluenceValue = document.getElementById('sfxInfluenceValue');
+const sfxTrackRow = document.getElementById('sfxTrackRow');
+const sfxTrack = document.getElementById('sfxTrack');
+const fitEnabled = document.getElementById('fitEnabled');
+const fitSource = document.getElementById('fitSource');
+const fitSeconds = document.getElementById('fitSeconds');
+const fitTolerance = document.getElementById('fitTolerance');
+const fitMethod = document.getElementById('fitMethod');
 const generateBtn = document.getElementById('generateBtn');
+const generateBtnIcon = document.getElementById('generateBtnIcon');
+const costEstimate = document.getElementById('costEstimate');
+const scriptCost = document.getElementById('scriptCost');
 const generateBtnText = document.getElementById('generateBtnText');
+const cancelBtn = document.getElementById('cancelBtn');
 const outputFormat = document.getElementById('outputFormat');
+const wavOptions = document.getElementById('wavOptions');
+const wavBitDepth = document.getElementById('wavBitDepth');
+const wavSampleRate = document.getElementById('wavSampleRate');
 const autoInsert = document.getElementById('autoInsert');
+const captionsToggle = document.getElementById('captionsToggle');
+const streamToggle = document.getElementById('streamToggle');
 const audioTrack = document.getElementById('audioTrack');
+const insertMode = document.getElementById('insertMode');
 const statusBar = document.getElementById('statusBar');
 const statusSpinner = document.getElementById('statusSpinner');
 const statusText = document.getElementById('statusText');
+const statusAction = document.getElementById('statusAction');
 const statusDismiss = document.getElementById('statusDismiss');
 const audioPreview = document.getElementById('audioPreview');
 const playBtn = document.getElementById('playBtn');
+const playBtnText = document.getElementById('playBtnText');
 const insertBtn = document.getElementById('insertBtn');
+const insertBtnText = document.getElementById('insertBtnText');
+const waveform = document.getElementById('waveform');
+const playerTitle = document.getElementById('playerTitle');
+const playerTime = document.getElementById('playerTime');
+const loopBtn = document.getElementById('loopBtn');
+const trimInBtn = document.getElementById('trimInBtn');
+const trimOutBtn = document.getElementById('trimOutBtn');
+const clearTrimBtn = document.getElementById('clearTrimBtn');
+const takeList = document.getElementById('takeList');
+const librarySearch = document.getElementById('librarySearch');
+const libraryVoice = document.getElementById('libraryVoice');
+const libraryDate = document.getElementById('libraryDate');
 const historyList = document.getElementById('historyList');
+const librarySummary = document.getElementById('librarySummary');
 
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -177,11 +409,11 @@ connectBtn.addEventListener('click', async () => {
   } catch (err) {
     // Handle specific error types
     let message = 'Connection failed. Please check your API key.';
-    if (err.message.includes('401') || err.message.includes('Unauthorized')) {
+    if (err.status === 401) {
       message = 'Invalid API key. Please double-check and try again.';
-    } else if (err.message.includes('fetch') || err.message.includes('network')) {
+    } else if (err.code === 'network' || err.code === 'timeout') {
       message = 'Network error. Check your internet connection.';
-    } else if (err.message.includes('429')) {
+    } else if (err.status === 429) {
       message = 'Rate limited. Please wait a moment and try again.';
     }
     setupFeedback.textContent = message;
@@ -257,11 +489,34 @@ refreshVoicesBtn.addEventListener('click', async () => {
 // VOICE LOADING & SELECTION
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function loadVoices() {
+const VOICE_CATEGORY_ORDER = ['cloned', 'professional', 'premade', 'generated', 'other'];
+const VOICE_CATEGORY_LABELS = {
+  cloned: '🎤 Cloned Voices',
+  professional: '⭐ Professional',
+  premade: '📦 Premade',
+  generated: '🔧 Generated',
+  other: '📂 Other',
+};
+
+/**
+ * @param {string} category - Voice category from the API
+ * @returns {string} Label for the dropdown's optgroup
+ */
+function voiceCategoryLabel(category) {
+  return VOICE_CATEGORY_LABELS[category] || category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Fill the voice dropdown from the account.
+ * @param {string} [selectVoiceId] - Voice to select (e.g. one just created)
+ *   instead of the last-used one
+ */
+async function loadVoices(selectVoiceId = null) {
   voiceSelect.disabled = true;
   voiceSelect.innerHTML = '<option value="">Loading voices...</option>';
   voiceSelect.classList.add('loading');
   previewVoiceBtn.disabled = true;
+  editVoiceBtn.disabled = true;
 
   try {
     showStatus('Loading voices from your account...', 'info', true);
@@ -278,15 +533,6 @@ async function loadVoices() {
     }
 
     // Group by category
-    const categoryOrder = ['cloned', 'professional', 'premade', 'generated', 'other'];
-    const categoryLabels = {
-      cloned: '🎤 Cloned Voices',
-      professional: '⭐ Professional',
-      premade: '📦 Premade',
-      generated: '🔧 Generated',
-      other: '📂 Other',
-    };
-
     const grouped = {};
     voices.forEach(v => {
       const cat = v.category || 'other';
@@ -300,7 +546,7 @@ async function loadVoices() {
     }
 
     // Build dropdown with optgroups
-    const orderedCats = categoryOrder.filter(c => grouped[c]);
+    const orderedCats = VOICE_CATEGORY_ORDER.filter(c => grouped[c]);
     Object.keys(grouped).forEach(c => {
       if (!orderedCats.includes(c)) orderedCats.push(c);
     });
@@ -310,7 +556,7 @@ async function loadVoices() {
       if (!voiceList || voiceList.length === 0) continue;
 
       const group = document.createElement('optgroup');
-      group.label = categoryLabels[cat] || cat.charAt(0).toUpperCase() + cat.slice(1);
+      group.label = voiceCategoryLabel(cat);
 
       voiceList.forEach(v => {
         const opt = document.createElement('option');
@@ -325,6 +571,7 @@ async function loadVoices() {
         }
         opt.textContent = displayName;
         opt.dataset.previewUrl = v.preview_url || '';
+        opt.dataset.category = cat;
         group.appendChild(opt);
       });
 
@@ -334,15 +581,19 @@ async function loadVoices() {
     voiceSelect.disabled = false;
 
     // Restore last-used voice
-    const lastVoice = loadFromStorage(STORAGE_KEYS.LAST_VOICE);
+    const lastVoice = selectVoiceId || loadFromStorage(STORAGE_KEYS.LAST_VOICE);
     if (lastVoice) {
       const exists = Array.from(voiceSelect.options).some(o => o.value === lastVoice);
       if (exists) {
         voiceSelect.value = lastVoice;
+        saveToStorage(STORAGE_KEYS.LAST_VOICE, lastVoice);
       }
     }
 
-    updatePreviewButton();
+    updateVoiceButtons();
+    updateVoiceFilters();
+    renderVoiceBrowser();
+    renderSpeakers();
     hideStatus();
     updateGenerateButton();
 
@@ -351,7 +602,7 @@ async function loadVoices() {
     voiceSelect.innerHTML = '<option value="">Failed to load voices</option>';
 
     let message = `Failed to load voices: ${err.message}`;
-    if (err.message.includes('401')) {
+    if (err.status === 401) {
       message = 'API key is invalid or expired. Please reconnect.';
     }
     showStatus(message, 'error');
@@ -361,431 +612,4228 @@ async function loadVoices() {
 // Voice change — save selection and update preview
 voiceSelect.addEventListener('change', () => {
   saveToStorage(STORAGE_KEYS.LAST_VOICE, voiceSelect.value);
-  updatePreviewButton();
+  rememberRecentVoice(voiceSelect.value);
+  updateVoiceButtons();
+  renderVoiceBrowser();
   updateGenerateButton();
 });
 
 // Preview voice sample
-previewVoiceBtn.addEventListener('click', async () => {
-  const selected = voiceSelect.options[voiceSelect.selectedIndex];
-  const previewUrl = selected?.dataset?.previewUrl;
-  if (!previewUrl) return;
+previewVoiceBtn.addEventListener('click', () => {
+  const voice = voicesCache.find(v => v.voice_id === voiceSelect.value);
+  if (voice) previewVoice(voice, previewVoiceBtn);
+});
+
+/**
+ * Play a voice's sample in the player.
+ * @param {Object} voice - From getVoices() ({ name, preview_url })
+ * @param {HTMLButtonElement} button - Disabled while the sample loads
+ */
+async function previewVoice(voice, button) {
+  if (!voice.preview_url) return;
 
   try {
-    previewVoiceBtn.disabled = true;
-    showStatus('Playing voice preview...', 'info', true);
+    button.disabled = true;
+    showStatus('Loading voice preview...', 'info', true);
 
     // Fetch the preview audio
-    const response = await fetch(previewUrl);
+    const response = await fetch(voice.preview_url);
     if (!response.ok) throw new Error('Preview not available');
 
     const audioData = await response.arrayBuffer();
-
-    if (fs && os && path) {
-      // Save to temp and play via system
-      const tempDir = os.tmpdir();
-      const tempFile = path.join(tempDir, 'elevenlabs_voice_preview.mp3');
-      fs.writeFileSync(tempFile, Buffer.from(audioData));
-      if (csInterface && csInterface.openURLInDefaultBrowser) {
-        csInterface.openURLInDefaultBrowser('file://' + tempFile);
-      }
-    } else {
-      // Fallback: play in-browser using blob URL
-      const blob = new Blob([audioData], { type: 'audio/mpeg' });
-      const url = URL.createObjectURL(blob);
-      const audio = new Audio(url);
-      audio.play();
+    if (!await showInPlayer(audioData, `Voice preview · ${voice.name}`, null)) {
+      throw new Error('Preview could not be decoded');
     }
+    audioPlayer.play();
     hideStatus();
   } catch (err) {
     showStatus('Could not play preview', 'warning');
   } finally {
-    previewVoiceBtn.disabled = false;
+    button.disabled = false;
   }
-});
+}
 
-function updatePreviewButton() {
+function updateVoiceButtons() {
   const selected = voiceSelect.options[voiceSelect.selectedIndex];
   const hasPreview = selected?.dataset?.previewUrl && selected.dataset.previewUrl !== '';
   previewVoiceBtn.disabled = !hasPreview;
+  // Only instant clones can be edited here
+  editVoiceBtn.disabled = selected?.dataset?.category !== 'cloned';
 }
 
 
 // ═══════════════════════════════════════════════════════════════════════════
-// MODEL & VOICE SETTINGS
+// VOICE BROWSER
 // ═══════════════════════════════════════════════════════════════════════════
 
-modelSelect.addEventListener('change', () => {
-  saveToStorage(STORAGE_KEYS.LAST_MODEL, modelSelect.value);
-});
-
-stabilitySlider.addEventListener('input', () => {
-  stabilityValue.textContent = `${stabilitySlider.value}%`;
-  saveToStorage(STORAGE_KEYS.STABILITY, stabilitySlider.value);
-});
-
-claritySlider.addEventListener('input', () => {
-  clarityValue.textContent = `${claritySlider.value}%`;
-  saveToStorage(STORAGE_KEYS.CLARITY, claritySlider.value);
-});
-
-outputFormat.addEventListener('change', () => {
-  saveToStorage(STORAGE_KEYS.OUTPUT_FORMAT, outputFormat.value);
-});
+// Recently selected voices pinned at the top of the browser
+const MAX_RECENT_VOICES = 5;
+// Voices rendered at once under "All voices" — search or filter to find the rest
+const VOICE_LIST_LIMIT = 100;
 
-autoInsert.addEventListener('change', () => {
-  saveToStorage(STORAGE_KEYS.AUTO_INSERT, autoInsert.checked ? '1' : '0');
-  document.getElementById('trackRow').style.display = autoInsert.checked ? 'flex' : 'none';
-});
+// Each filter's data-label names the voice label it matches
+const VOICE_LABEL_FILTERS = [voiceGenderFilter, voiceAgeFilter, voiceAccentFilter, voiceUseCaseFilter];
 
-audioTrack.addEventListener('change', () => {
-  saveToStorage(STORAGE_KEYS.AUDIO_TRACK, audioTrack.value);
+voiceSearch.addEventListener('input', () => renderVoiceBrowser());
+[voiceCategoryFilter, ...VOICE_LABEL_FILTERS].forEach(select => {
+  select.addEventListener('change', () => renderVoiceBrowser());
 });
 
+/**
+ * A voice's label value, matched without case. The API sends some keys
+ * with a space ("use case") and some with an underscore.
+ * @param {Object} voice
+ * @param {string} key - e.g. 'use_case'
+ * @returns {string} Lower-case value, or ''
+ */
+function voiceLabel(voice, key) {
+  const labels = voice.labels || {};
+  const value = labels[key] || labels[key.replace(/_/g, ' ')] || '';
+  return String(value).trim().toLowerCase();
+}
 
-// ═══════════════════════════════════════════════════════════════════════════
-// SCRIPT TEXT & CHARACTER COUNT
-// ═══════════════════════════════════════════════════════════════════════════
-
-scriptText.addEventListener('input', () => {
-  const len = scriptText.value.length;
-  charCount.textContent = `${len.toLocaleString()} / ${CHAR_LIMIT.toLocaleString()}`;
-
-  if (len >= CHAR_LIMIT) {
-    charCount.className = 'char-count limit';
-  } else if (len >= CHAR_LIMIT * 0.9) {
-    charCount.className = 'char-count warn';
-  } else {
-    charCount.className = 'char-count';
-  }
-
-  updateGenerateButton();
-});
-
+// Offer only the categories and label values the account's voices have
+function updateVoiceFilters() {
+  const fill = (select, values, format) => {
+    const current = select.value;
+    const first = select.options[0].outerHTML;
+    select.innerHTML = first + values.map(value =>
+      `<option value="${escapeHtml(value)}">${escapeHtml(format(value))}</option>`
+    ).join('');
+    select.value = values.includes(current) ? current : '';
+  };
+  const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
 
-// ═══════════════════════════════════════════════════════════════════════════
-// GENERATE BUTTON
-// ═══════════════════════════════════════════════════════════════════════════
+  const order = category => {
+    const index = VOICE_CATEGORY_ORDER.indexOf(category);
+    return index < 0 ? VOICE_CATEGORY_ORDER.length : index;
+  };
+  const categories = Array.from(new Set(voicesCache.map(v => v.category || 'other')))
+    .sort((a, b) => order(a) - order(b));
+  fill(voiceCategoryFilter, categories, voiceCategoryLabel);
 
-function updateGenerateButton() {
-  const hasVoice = voiceSelect.value !== '';
-  const hasText = scriptText.value.trim().length > 0;
-  generateBtn.disabled = !(hasVoice && hasText) || isGenerating;
+  VOICE_LABEL_FILTERS.forEach(select => {
+    const values = Array.from(new Set(voicesCache.map(v => voiceLabel(v, select.dataset.label)).filter(Boolean))).sort();
+    fill(select, values, value => capitalize(value.replace(/_/g, ' ')));
+  });
 }
 
-generateBtn.addEventListener('click', async () => {
-  const text = scriptText.value.trim();
-  const voiceId = voiceSelect.value;
-  if (!text || !voiceId || isGenerating) return;
-
-  isGenerating = true;
-  generateBtn.disabled = true;
-  generateBtn.classList.add('generating');
-  generateBtnText.textContent = 'Generating...';
-  audioPreview.classList.remove('visible');
+/**
+ * @returns {Array} Voices matching the search and filters, by name
+ */
+function filterVoices() {
+  const query = voiceSearch.value.trim().toLowerCase();
+  const category = voiceCategoryFilter.value;
+  const labelFilters = VOICE_LABEL_FILTERS.filter(select => select.value);
+
+  return voicesCache.filter(voice => {
+    if (category && (voice.category || 'other') !== category) return false;
+    if (labelFilters.some(select => voiceLabel(voice, select.dataset.label) !== select.value)) return false;
+    if (!query) return true;
+    const haystack = [voice.name, voice.description, ...Object.values(voice.labels || {})]
+      .filter(Boolean).join(' ').toLowerCase();
+    return haystack.includes(query);
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
 
-  try {
-    // Step 1: Generate speech
-    showStatus('Generating speech...', 'info', true);
+/**
+ * List matching voices, with favorites and recently used voices pinned at the top.
+ * Clicking a row selects the voice in the dropdown.
+ */
+function renderVoiceBrowser() {
+  if (voicesCache.length === 0) {
+    voiceList.innerHTML = '<div class="history-empty">No voices loaded</div>';
+    voiceListSummary.textContent = '';
+    return;
+  }
 
-    const audioBuffer = await elevenLabsAPI.generateSpeech({
-      text,
-      voiceId,
-      modelId: modelSelect.value,
-      stability: stabilitySlider.value / 100,
-      similarityBoost: claritySlider.value / 100,
-      outputFormat: outputFormat.value,
+  const matches = filterVoices();
+  const byId = new Map(matches.map(v => [v.voice_id, v]));
+  const favorites = favoriteVoices.map(id => byId.get(id)).filter(Boolean);
+  const recents = recentVoices
+    .filter(id => !favoriteVoices.includes(id))
+    .map(id => byId.get(id))
+    .filter(Boolean);
+
+  const groups = [
+    ['★ Favorites', favorites],
+    ['Recent', recents],
+    ['All voices', matches.slice(0, VOICE_LIST_LIMIT)],
+  ].filter(([, voices]) => voices.length > 0);
+
+  voiceList.innerHTML = groups.map(([label, voices]) => `
+    <div class="voice-group">${escapeHtml(label)}</div>
+    ${voices.map(voiceRowHtml).join('')}
+  `).join('') || '<div class="history-empty">No voices match</div>';
+
+  voiceListSummary.textContent = matches.length > VOICE_LIST_LIMIT
+    ? `Showing ${VOICE_LIST_LIMIT} of ${matches.length} matches · ${voicesCache.length} voices`
+    : `${matches.length} of ${voicesCache.length} voices`;
+
+  voiceList.querySelectorAll('.voice-row').forEach(row => {
+    const voice = byId.get(row.dataset.id);
+    row.addEventListener('click', () => {
+      if (voiceSelect.value !== voice.voice_id) setControl(voiceSelect, voice.voice_id);
     });
+    row.querySelector('.voice-star').addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleFavoriteVoice(voice.voice_id);
+    });
+    const play = row.querySelector('.voice-play');
+    play.addEventListener('click', (e) => {
+      e.stopPropagation();
+      previewVoice(voice, play);
+    });
+  });
+}
 
-    lastAudioBuffer = audioBuffer;
-
-    // Step 2: Save to file using Node.js fs
-    showStatus('Saving audio file...', 'info', true);
-
-    const ext = outputFormat.value.startsWith('pcm') ? 'wav' : 'mp3';
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const voiceName = (voiceSelect.options[voiceSelect.selectedIndex]?.text || 'voice').split(' — ')[0].trim();
-    const fileName = `VO_${sanitizeFilename(voiceName)}_${timestamp}.${ext}`;
-
-    let savePath = null;
+function voiceRowHtml(voice) {
+  const favorite = favoriteVoices.includes(voice.voice_id);
+  const tags = ['gender', 'age', 'accent'].map(key => voiceLabel(voice, key)).filter(Boolean).join(' · ');
+  return `
+    <div class="marker-row voice-row${voice.voice_id === voiceSelect.value ? ' selected' : ''}" data-id="${escapeHtml(voice.voice_id)}"
+      title="${escapeHtml(voice.description || voice.name)}">
+      <button class="btn-icon-small voice-star${favorite ? ' active' : ''}" title="${favorite ? 'Remove from favorites' : 'Add to favorites'}">${favorite ? '★' : '☆'}</button>
+      <span class="marker-text">${escapeHtml(voice.name)}</span>
+      <span class="marker-meta">${escapeHtml(tags)}</span>
+      <button class="btn-icon-small voice-play" title="Preview voice"${voice.preview_url ? '' : ' disabled'}>
+        <svg width="10" height="10" viewBox="0 0 16 16" fill="currentColor"><path d="M4 3l10 5-10 5z"/></svg>
+      </button>
+    </div>
+  `;
+}
 
-    if (fs && path && os) {
-      // Node.js available — save directly
-      try {
-        const projectPath = await callExtendScript('getProjectPath');
-        if (projectPath && projectPath.length > 0) {
-          const voFolder = path.join(projectPath, 'Voiceovers');
-          if (!fs.existsSync(voFolder)) {
-            fs.mkdirSync(voFolder, { recursive: true });
-          }
-          savePath = path.join(voFolder, fileName);
-          fs.writeFileSync(savePath, Buffer.from(audioBuffer));
-        }
-      } catch (err) {
-        console.warn('Could not save to project directory:', err.message);
-        savePath = null;
-      }
+function toggleFavoriteVoice(voiceId) {
+  favoriteVoices = favoriteVoices.includes(voiceId)
+    ? favoriteVoices.filter(id => id !== voiceId)
+    : [...favoriteVoices, voiceId];
+  saveToStorage(STORAGE_KEYS.FAVORITE_VOICES, JSON.stringify(favoriteVoices));
+  renderVoiceBrowser();
+}
 
-      if (!savePath) {
-        try {
-          const tempDir = path.join(os.tmpdir(), 'ElevenLabs_Voiceovers');
-          if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-          }
-          savePath = path.join(tempDir, fileName);
-          fs.writeFileSync(savePath, Buffer.from(audioBuffer));
-        } catch (err) {
-          throw new Error(`Could not save audio file: ${err.message}`);
-        }
-      }
-    } else {
-      // No Node.js — save via ExtendScript host
-      showStatus('Saving via Premiere Pro...', 'info', true);
-      const base64 = arrayBufferToBase64(audioBuffer);
-      const result = await callExtendScript('saveAudioFile', base64, fileName, ext);
-      const parsed = JSON.parse(result);
-      if (parsed.error) {
-        throw new Error(`Could not save audio: ${parsed.error}`);
-      }
-      savePath = parsed.path;
-    }
+/** @param {string} voiceId - Move to the front of the recently used voices */
+function rememberRecentVoice(voiceId) {
+  if (!voiceId) return;
+  recentVoices = [voiceId, ...recentVoices.filter(id => id !== voiceId)].slice(0, MAX_RECENT_VOICES);
+  saveToStorage(STORAGE_KEYS.RECENT_VOICES, JSON.stringify(recentVoices));
+}
 
-    lastAudioPath = savePath;
 
-    // Step 3: Import into project and optionally insert into timeline
-    if (autoInsert.checked) {
-      showStatus('Importing into timeline...', 'info', true);
-      const trackIndex = parseInt(audioTrack.value, 10);
-      try {
-        const result = await callExtendScript('importAndInsert', savePath, trackIndex);
-        const parsed = JSON.parse(result);
-        if (parsed.error) {
-          // Try import-only fallback
-          console.warn('Timeline insert failed:', parsed.error);
-          try {
-            const importResult = await callExtendScript('importFile', savePath);
-            const importParsed = JSON.parse(importResult);
-            if (importParsed.error) {
-              showStatus(`✓ Audio saved to: ${savePath}`, 'success');
-            } else {
-              showStatus(`⚠ Imported to Voiceovers bin (timeline insert failed: ${parsed.error})`, 'warning');
-            }
-          } catch {
-            showStatus(`✓ Audio saved to: ${savePath}`, 'success');
-          }
-        } else {
-          showStatus('✓ Voiceover added to timeline at playhead', 'success');
-        }
-      } catch (insertErr) {
-        console.warn('Timeline insert error:', insertErr.message);
-        try {
-          await callExtendScript('importFile', savePath);
-          showStatus(`⚠ Imported to Voiceovers bin (timeline insert failed)`, 'warning');
-        } catch {
-          showStatus(`✓ Audio saved to: ${savePath}`, 'success');
-        }
-      }
-    } else {
-      // Import into the project panel only
-      try {
-        const result = await callExtendScript('importFile', savePath);
-        const parsed = JSON.parse(result);
-        if (parsed.error) {
-          showStatus(`✓ Audio saved to: ${savePath}`, 'success');
-        } else {
-          showStatus('✓ Audio saved & imported to Voiceovers bin', 'success');
-        }
-      } catch {
-        showStatus(`✓ Audio saved to: ${savePath}`, 'success');
-      }
-    }
+// ═══════════════════════════════════════════════════════════════════════════
+// DISCOVER (SHARED VOICE LIBRARY)
+// ═══════════════════════════════════════════════════════════════════════════
 
-    // Show preview controls
-    audioPreview.classList.add('visible');
+const DISCOVER_PAGE_SIZE = 30;
 
-    // Add to history
-    addToHistory(text, voiceName, savePath);
+// The first search runs when the view is opened
+discoverVoices.addEventListener('toggle', () => {
+  if (discoverVoices.open && !discoverResults) searchSharedVoices();
+});
 
-    // Auto-dismiss success after 4s
-    setTimeout(() => {
-      if (statusBar.classList.contains('success')) hideStatus();
-    }, 4000);
+discoverSearchBtn.addEventListener('click', () => searchSharedVoices());
 
-  } catch (err) {
-    let message = err.message;
-    if (message.includes('quota') || message.includes('limit')) {
-      message = 'Character quota exceeded. Check your ElevenLabs plan.';
-    } else if (message.includes('401')) {
-      message = 'API key expired or invalid. Please reconnect.';
-    } else if (message.includes('429')) {
-      message = 'Rate limited by ElevenLabs. Wait a moment and retry.';
-    }
-    showStatus(`Error: ${message}`, 'error');
-    console.error('Generation error:', err);
-  } finally {
-    isGenerating = false;
-    generateBtn.classList.remove('generating');
-    generateBtnText.textContent = 'Generate Voiceover';
-    updateGenerateButton();
-  }
+discoverSearch.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') searchSharedVoices();
 });
 
+[discoverLanguage, discoverGender, discoverAccent, discoverUseCase, discoverSort].forEach(select => {
+  select.addEventListener('change', () => searchSharedVoices());
+});
 
-// ═══════════════════════════════════════════════════════════════════════════
-// AUDIO PREVIEW
-// ═══════════════════════════════════════════════════════════════════════════
+discoverMoreBtn.addEventListener('click', () => searchSharedVoices(true));
 
-playBtn.addEventListener('click', () => {
-  if (!lastAudioPath) return;
+/**
+ * Search the shared library with the current filters.
+ * @param {boolean} [more=false] - Append the next page instead of starting over
+ */
+async function searchSharedVoices(more = false) {
+  const page = more && discoverResults ? discoverResults.page + 1 : 0;
+  const previous = more && discoverResults ? discoverResults.voices : [];
+
+  // A newer search replaces one still loading
+  if (discoverResults && discoverResults.controller) discoverResults.controller.abort();
+  const controller = new AbortController();
+  discoverResults = { page, voices: previous, hasMore: false, controller };
+
+  discoverSearchBtn.disabled = true;
+  discoverMoreBtn.disabled = true;
+  discoverSummary.textContent = 'Searching...';
   try {
-    if (csInterface && csInterface.openURLInDefaultBrowser) {
-      csInterface.openURLInDefaultBrowser('file://' + lastAudioPath);
-    }
+    const { voices, hasMore } = await elevenLabsAPI.searchSharedVoices({
+      search: discoverSearch.value.trim(),
+      language: discoverLanguage.value,
+      gender: discoverGender.value,
+      accent: discoverAccent.value,
+      useCase: discoverUseCase.value,
+      sort: discoverSort.value,
+      page,
+      pageSize: DISCOVER_PAGE_SIZE,
+      signal: controller.signal,
+    });
+    discoverResults = { page, voices: [...previous, ...voices], hasMore, controller: null };
+    renderDiscoverResults();
   } catch (err) {
-    showStatus(`Playback error: ${err.message}`, 'error');
+    if (err.cancelled) return;
+    discoverResults = { page: Math.max(page - 1, 0), voices: previous, hasMore: previous.length > 0, controller: null };
+    renderDiscoverResults();
+    discoverSummary.textContent = `Search failed: ${describeApiError(err)}`;
+  } finally {
+    if (discoverResults.controller !== controller) {
+      discoverSearchBtn.disabled = false;
+      discoverMoreBtn.disabled = false;
+    }
   }
-});
+}
 
-insertBtn.addEventListener('click', async () => {
-  if (!lastAudioPath) return;
+function renderDiscoverResults() {
+  const { voices, hasMore } = discoverResults;
+  const owned = new Set(voicesCache.map(v => v.voice_id));
+
+  discoverList.innerHTML = voices.map((voice, index) => {
+    const tags = [voice.gender, voice.age, voice.accent, voice.language].filter(Boolean).join(' · ');
+    const added = voice.added || owned.has(voice.voice_id);
+    return `
+      <div class="marker-row voice-row" data-index="${index}" title="${escapeHtml(voice.description || voice.name)}">
+        <button class="btn-icon-small voice-play" title="Preview voice"${voice.preview_url ? '' : ' disabled'}>
+          <svg width="10" height="10" viewBox="0 0 16 16" fill="currentColor"><path d="M4 3l10 5-10 5z"/></svg>
+        </button>
+        <span class="marker-text">${escapeHtml(voice.name)}</span>
+        <span class="marker-meta">${escapeHtml(tags)}</span>
+        <button class="btn-small voice-add"${added ? ' disabled' : ''}>${added ? 'Added' : 'Add'}</button>
+      </div>
+    `;
+  }).join('') || '<div class="history-empty">No voices match</div>';
+
+  discoverMoreBtn.style.display = hasMore ? '' : 'none';
+  discoverSummary.textContent = voices.length > 0
+    ? `${voices.length}${hasMore ? '+' : ''} voice${voices.length === 1 ? '' : 's'} from the ElevenLabs voice library`
+    : '';
+
+  discoverList.querySelectorAll('.voice-row').forEach(row => {
+    const voice = voices[row.dataset.index];
+    const play = row.querySelector('.voice-play');
+    play.addEventListener('click', (e) => {
+      e.stopPropagation();
+      previewVoice(voice, play);
+    });
+    row.querySelector('.voice-add').addEventListener('click', (e) => {
+      e.stopPropagation();
+      addSharedVoice(voice, e.currentTarget);
+    });
+  });
+}
+
+/**
+ * Add a shared voice to the account and select it.
+ * @param {Object} voice - From searchSharedVoices()
+ * @param {HTMLButtonElement} button
+ */
+async function addSharedVoice(voice, button) {
+  button.disabled = true;
+  showStatus(`Adding ${voice.name} to your voices...`, 'info', true);
   try {
-    showStatus('Importing & inserting into timeline...', 'info', true);
-    const trackIndex = parseInt(audioTrack.value, 10);
-    const result = await callExtendScript('importAndInsert', lastAudioPath, trackIndex);
-    const parsed = JSON.parse(result);
-    if (parsed.error) {
-      showStatus(`Insert failed: ${parsed.error}`, 'error');
+    const { voiceId } = await elevenLabsAPI.addSharedVoice(voice.public_owner_id, voice.voice_id, voice.name);
+    voice.added = true;
+    await loadVoices(voiceId);
+    renderDiscoverResults();
+    if (voiceSelect.value === voiceId) {
+      showStatus(`✓ Added ${voice.name} — it's now selected`, 'success');
     } else {
-      showStatus('✓ Inserted into timeline at playhead', 'success');
-      setTimeout(() => {
-        if (statusBar.classList.contains('success')) hideStatus();
-      }, 3000);
+      showStatus(`⚠ Added ${voice.name}, but the voice list didn't reload — refresh voices to use it`, 'warning');
     }
   } catch (err) {
-    showStatus(`Insert failed: ${err.message}`, 'error');
+    button.disabled = false;
+    showStatus(`Could not add voice: ${describeApiError(err)}`, 'error');
   }
-});
+}
 
 
 // ═══════════════════════════════════════════════════════════════════════════
-// STATUS BAR
+// VOICE CLONING
 // ═══════════════════════════════════════════════════════════════════════════
 
-function showStatus(message, type = 'info', showSpinner = false) {
-  statusBar.className = `status-bar visible ${type}`;
-  statusText.textContent = message;
-  statusSpinner.style.display = showSpinner ? 'block' : 'none';
-  statusDismiss.style.display = showSpinner ? 'none' : 'block';
-}
-
-function hideStatus() {
-  statusBar.className = 'status-bar';
-}
+// Longest sample taken from a Project panel item; keeps the upload around 10 MB
+const MAX_SAMPLE_SECONDS = 120;
 
-statusDismiss.addEventListener('click', hideStatus);
+cloneVoiceBtn.addEventListener('click', () => openVoiceEditor(null));
 
+editVoiceBtn.addEventListener('click', () => {
+  const voice = voicesCache.find(v => v.voice_id === voiceSelect.value);
+  if (voice) openVoiceEditor(voice);
+});
 
-// ═══════════════════════════════════════════════════════════════════════════
-// HISTORY
-// ═══════════════════════════════════════════════════════════════════════════
+addSampleFilesBtn.addEventListener('click', () => sampleFiles.click());
 
-function addToHistory(text, voiceName, filePath) {
-  const entry = {
-    text: text.length > 60 ? text.slice(0, 60) + '…' : text,
-    voice: voiceName,
-    path: filePath,
-    time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-  };
+sampleFiles.addEventListener('change', () => {
+  Array.from(sampleFiles.files).forEach(file => {
+    editingVoice.samples.push({ name: file.name, file });
+  });
+  sampleFiles.value = '';
+  renderSamples();
+});
 
-  history.unshift(entry);
-  if (history.length > 20) history.pop();
+addProjectSamplesBtn.addEventListener('click', () => addProjectSamples());
 
-  try {
-    saveToStorage(STORAGE_KEYS.HISTORY, JSON.stringify(history));
-  } catch { /* ignore */ }
+saveVoiceBtn.addEventListener('click', () => saveVoice());
 
-  renderHistory();
-}
+deleteVoiceBtn.addEventListener('click', () => confirmDeleteVoice());
 
-function renderHistory() {
-  if (history.length === 0) {
-    historyList.innerHTML = '<div class="history-empty">No generations yet</div>';
-    return;
-  }
+cancelVoiceBtn.addEventListener('click', () => closeVoiceEditor());
 
-  historyList.innerHTML = history.map((item, i) => `
-    <div class="history-item" data-index="${i}" title="${escapeHtml(item.voice)} — ${item.time}\n${item.path || ''}">
-      <span class="text-preview">🎙 ${escapeHtml(item.text)}</span>
-      <span class="history-meta">${escapeHtml(item.voice)}<br/>${item.time}</span>
-    </div>
-  `).join('');
+/**
+ * @param {Object|null} voice - Cloned voice to edit (from getVoices()), or null to clone a new one
+ */
+function openVoiceEditor(voice) {
+  closeDesignEditor();
+  editingVoice = {
+    id: voice ? voice.voice_id : null,
+    // Samples already on ElevenLabs are listed but stay as they are
+    samples: voice ? (voice.samples || []).map(sample => ({ name: sample.file_name, existing: true })) : [],
+  };
+  voiceEditorTitle.textContent = voice ? `Edit ${voice.name}` : 'Clone Voice';
+  cloneName.value = voice ? voice.name : '';
+  cloneDescription.value = voice ? voice.description || '' : '';
+  cloneLabels.value = voice ? formatVoiceLabels(voice.labels) : '';
+  cloneRemoveNoise.checked = false;
+  saveVoiceBtn.textContent = voice ? 'Save Voice' : 'Create Voice';
+  deleteVoiceBtn.style.display = voice ? '' : 'none';
+  voiceEditor.style.display = '';
+  renderSamples();
+  cloneName.focus();
+}
 
-  // Click to re-insert
-  historyList.querySelectorAll('.history-item').forEach(el => {
-    el.addEventListener('click', async () => {
-      const idx = parseInt(el.dataset.index, 10);
-      const item = history[idx];
-      if (!item?.path) return;
-
-      // Check file still exists
-      if (fs && !fs.existsSync(item.path)) {
-        showStatus('Audio file no longer exists', 'warning');
-        return;
-      }
+function closeVoiceEditor() {
+  editingVoice = null;
+  voiceEditor.style.display = 'none';
+  cloneSamples.innerHTML = '';
+}
 
-      try {
-        showStatus('Inserting into timeline...', 'info', true);
-        const trackIndex = parseInt(audioTrack.value, 10);
-        const result = await callExtendScript('importAndInsert', item.path, trackIndex);
-        const parsed = JSON.parse(result);
-        if (parsed.error) {
-          showStatus(`Error: ${parsed.error}`, 'error');
-        } else {
-          showStatus('✓ Inserted into timeline', 'success');
-          setTimeout(() => {
-            if (statusBar.classList.contains('success')) hideStatus();
-          }, 3000);
-        }
-      } catch (err) {
-        showStatus(`Error: ${err.message}`, 'error');
-      }
+function renderSamples() {
+  cloneSamples.innerHTML = editingVoice.samples.map((sample, index) => {
+    let meta = 'Project';
+    if (sample.existing) meta = 'Saved';
+    if (sample.file) meta = `${(sample.file.size / 1048576).toFixed(1)} MB`;
+    return `
+      <div class="marker-row sample-row" data-index="${index}" title="${escapeHtml(sample.path || sample.name)}">
+        <span class="marker-text">${escapeHtml(sample.name)}</span>
+        <span class="marker-meta">${meta}</span>
+        ${sample.existing ? '' : '<button class="btn-icon-small sample-remove" title="Remove sample">✕</button>'}
+      </div>
+    `;
+  }).join('') || '<div class="history-empty">Add recordings of the voice to clone</div>';
+
+  cloneSamples.querySelectorAll('.sample-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      editingVoice.samples.splice(btn.closest('.sample-row').dataset.index, 1);
+      renderSamples();
     });
   });
 }
 
-
-// ═══════════════════════════════════════════════════════════════════════════
-// AUDIO TRACKS
-// ═══════════════════════════════════════════════════════════════════════════
-
-async function loadAudioTracks() {
+// Media behind the clips selected in the Project panel; their audio is read when saving
+async function addProjectSamples() {
+  let result;
   try {
-    const result = await callExtendScript('getAudioTracks');
-    const tracks = JSON.parse(result);
-    if (tracks.length > 0) {
-      audioTrack.innerHTML = tracks.map(t =>
-        `<option value="${t.index}">${escapeHtml(t.name)}</option>`
-      ).join('');
-    }
+    result = JSON.parse(await callExtendScript('getSelectedProjectMedia'));
   } catch {
-    // Use defaults
+    result = { error: 'Could not read the Project panel selection' };
+  }
+  if (result.error) {
+    showStatus(result.error, 'warning');
+    return;
   }
-}
-
 
-// ═══════════════════════════════════════════════════════════════════════════
-// STORAGE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════
+  const known = editingVoice.samples.map(sample => sample.path).filter(Boolean);
+  const added = result.items.filter(item => !known.includes(item.path));
+  added.forEach(item => {
+    editingVoice.samples.push({ name: item.path.split(/[\\/]/).pop(), path: item.path });
+  });
+  renderSamples();
+  if (added.length < result.items.length) {
+    showStatus(`Added ${added.length} of ${result.items.length} — the rest are already listed`, 'info');
+  }
+}
 
-function saveToStorage(key, value) {
-  try { localStorage.setItem(key, value); } catch { /* ignore */ }
+/**
+ * The audio of a Project panel item (audio or video file) as a mono WAV sample,
+ * cut to the first MAX_SAMPLE_SECONDS — instant cloning needs far less than that.
+ * @param {string} filePath
+ * @returns {Promise<Blob>}
+ */
+async function readSampleAudio(filePath) {
+  const decoded = await decodeMediaFile(filePath);
+  const end = Math.min(decoded.length, MAX_SAMPLE_SECONDS * CONVERT_SAMPLE_RATE);
+  if (end === 0) throw new Error(`${filePath.split(/[\\/]/).pop()} has no audio`);
+  return monoWavBlob(decoded, 0, end);
 }
 
-function loadFromStorage(key) {
-  try { return localStorage.getItem(key); } catch { return null; }
+/**
+ * @param {Object} [labels] - Voice labels ({ accent: 'British', ... })
+ * @returns {string} "accent: British, gender: female"
+ */
+function formatVoiceLabels(labels) {
+  return Object.entries(labels || {})
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
 }
 
-function removeFromStorage(key) {
+/**
+ * @param {string} text - "accent: British, gender: female"
+ * @returns {Object} Labels; entries without a "key: value" pair are left out
+ */
+function parseVoiceLabels(text) {
+  const labels = {};
+  text.split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) return;
+    const key = entry.slice(0, separator).trim().toLowerCase().replace(/\s+/g, '_');
+    const value = entry.slice(separator + 1).trim();
+    if (key && value) labels[key] = value;
+  });
+  return labels;
+}
+
+/**
+ * Create the voice being edited from its samples, or update its details
+ * (new samples are added to it). The dropdown is reloaded with the voice selected.
+ */
+async function saveVoice() {
+  const name = cloneName.value.trim();
+  const { id } = editingVoice;
+  const newSamples = editingVoice.samples.filter(sample => !sample.existing);
+  if (!name) {
+    showStatus('Enter a name for the voice', 'warning');
+    return;
+  }
+  if (!id && newSamples.length === 0) {
+    showStatus('Add at least one recording of the voice', 'warning');
+    return;
+  }
+
+  saveVoiceBtn.disabled = true;
+  showStatus(id ? `Saving ${name}...` : `Cloning ${name}...`, 'info', true);
+  try {
+    // One at a time — each Project panel file is decoded in full before it's cut
+    const files = [];
+    for (const sample of newSamples) {
+      files.push(sample.file || new File([await readSampleAudio(sample.path)], sample.name.replace(/\.[^.]+$/, '') + '.wav'));
+    }
+    const details = {
+      name,
+      files,
+      description: cloneDescription.value.trim(),
+      labels: parseVoiceLabels(cloneLabels.value),
+      removeBackgroundNoise: cloneRemoveNoise.checked,
+    };
+
+    let voiceId = id;
+    let requiresVerification = false;
+    if (id) {
+      await elevenLabsAPI.editVoice(id, details);
+    } else {
+      ({ voiceId, requiresVerification } = await elevenLabsAPI.addVoice(details));
+    }
+    closeVoiceEditor();
+    await loadVoices(voiceId);
+
+    if (requiresVerification) {
+      showStatus(`⚠ Created ${name} — ElevenLabs needs to verify it before it can be used`, 'warning');
+    } else {
+      showStatus(`✓ ${id ? 'Saved' : 'Created'} ${name}`, 'success');
+    }
+  } catch (err) {
+    showStatus(`Could not save voice: ${describeApiError(err)}`, 'error');
+  } finally {
+    saveVoiceBtn.disabled = false;
+  }
+}
+
+// Deleting can't be undone, so ask first via the status bar
+function confirmDeleteVoice() {
+  const { id } = editingVoice;
+  const voice = voicesCache.find(v => v.voice_id === id);
+  showStatus(`Delete ${voice ? voice.name : 'this voice'} from your ElevenLabs account?`, 'warning', false, {
+    label: 'Delete',
+    onClick: () => deleteVoice(id),
+  });
+}
+
+async function deleteVoice(voiceId) {
+  showStatus('Deleting voice...', 'info', true);
+  try {
+    await elevenLabsAPI.deleteVoice(voiceId);
+    closeVoiceEditor();
+    await loadVoices();
+    showStatus('✓ Voice deleted', 'success');
+  } catch (err) {
+    showStatus(`Could not delete voice: ${describeApiError(err)}`, 'error');
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VOICE DESIGN
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Shortest description and preview line the API accepts
+const DESIGN_DESCRIPTION_MIN = 20;
+const DESIGN_TEXT_MIN = 100;
+
+designVoiceBtn.addEventListener('click', () => openDesignEditor());
+
+designPreviewsBtn.addEventListener('click', () => generateDesignPreviews());
+
+closeDesignBtn.addEventListener('click', () => closeDesignEditor());
+
+function openDesignEditor() {
+  closeVoiceEditor();
+  designEditor.style.display = '';
+  renderDesignCandidates();
+  designDescription.focus();
+}
+
+function closeDesignEditor() {
+  designedVoices = null;
+  designEditor.style.display = 'none';
+  designCandidates.innerHTML = '';
+}
+
+/**
+ * Ask for candidate voices matching the description, and play the first one.
+ */
+async function generateDesignPreviews() {
+  const description = designDescription.value.trim();
+  const text = designText.value.trim();
+  if (description.length < DESIGN_DESCRIPTION_MIN) {
+    showStatus(`Describe the voice in at least ${DESIGN_DESCRIPTION_MIN} characters`, 'warning');
+    return;
+  }
+  if (text && text.length < DESIGN_TEXT_MIN) {
+    showStatus(`The preview line needs at least ${DESIGN_TEXT_MIN} characters — or leave it empty`, 'warning');
+    return;
+  }
+
+  designPreviewsBtn.disabled = true;
+  showStatus('Designing voices...', 'info', true);
+  try {
+    const result = await elevenLabsAPI.designVoicePreviews({ description, text });
+    designedVoices = { description, ...result };
+    renderDesignCandidates();
+    if (result.previews.length === 0) {
+      showStatus('No voices came back — try rewording the description', 'warning');
+    } else {
+      hideStatus();
+      playDesignCandidate(0);
+    }
+  } catch (err) {
+    showStatus(`Could not design voice: ${describeApiError(err)}`, 'error');
+  } finally {
+    designPreviewsBtn.disabled = false;
+  }
+}
+
+function renderDesignCandidates() {
+  const previews = designedVoices ? designedVoices.previews : [];
+  designCandidates.innerHTML = previews.map((preview, index) => `
+    <div class="marker-row design-row" data-index="${index}" title="${escapeHtml(designedVoices.text)}">
+      <span class="marker-text">Option ${index + 1}</span>
+      <span class="marker-meta">${preview.duration.toFixed(1)}s</span>
+      <button class="btn-small" data-action="play">Play</button>
+      <button class="btn-small" data-action="save">Save</button>
+    </div>
+  `).join('');
+
+  designCandidates.querySelectorAll('.design-row').forEach(row => {
+    const index = Number(row.dataset.index);
+    row.querySelector('[data-action="play"]').addEventListener('click', () => playDesignCandidate(index));
+    row.querySelector('[data-action="save"]').addEventListener('click', () => saveDesignedVoice(index));
+  });
+}
+
+/** @param {number} index - Candidate to load into the player */
+async function playDesignCandidate(index) {
+  const preview = designedVoices.previews[index];
+  if (await showInPlayer(preview.audio, `Voice design · Option ${index + 1}`, null)) {
+    audioPlayer.play();
+  } else {
+    showStatus('Could not play preview', 'warning');
+  }
+}
+
+/**
+ * Add a candidate to the account and select it in the dropdown.
+ * @param {number} index
+ */
+async function saveDesignedVoice(index) {
+  const name = designName.value.trim();
+  if (!name) {
+    showStatus('Enter a name for the voice', 'warning');
+    designName.focus();
+    return;
+  }
+
+  const { description, previews } = designedVoices;
+  designCandidates.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+  showStatus(`Saving ${name}...`, 'info', true);
+  try {
+    const { voiceId } = await elevenLabsAPI.createVoiceFromPreview({
+      name,
+      description,
+      generatedVoiceId: previews[index].generatedVoiceId,
+    });
+    closeDesignEditor();
+    designName.value = '';
+    await loadVoices(voiceId);
+    showStatus(`✓ Added ${name} to your voices`, 'success');
+  } catch (err) {
+    renderDesignCandidates();
+    showStatus(`Could not save voice: ${describeApiError(err)}`, 'error');
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MODELS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fill the model dropdown from the API.
+ * Falls back to the last list fetched, then to the built-in default option.
+ */
+async function loadModels() {
+  let models = [];
+  try {
+    models = await elevenLabsAPI.getModels();
+    saveToStorage(STORAGE_KEYS.MODELS_CACHE, JSON.stringify(models));
+  } catch (err) {
+    console.warn('Could not load models, using cached list:', err.message);
+    try {
+      models = JSON.parse(loadFromStorage(STORAGE_KEYS.MODELS_CACHE) || '[]');
+    } catch { /* ignore */ }
+  }
+
+  if (models.length > 0) {
+    modelsCache = models;
+    modelSelect.innerHTML = models.map(m =>
+      `<option value="${escapeHtml(m.model_id)}">${escapeHtml(m.name)}</option>`
+    ).join('');
+
+    const savedModel = loadFromStorage(STORAGE_KEYS.LAST_MODEL);
+    const preferred = [savedModel, DEFAULT_MODEL].find(id => models.some(m => m.model_id === id));
+    if (preferred) modelSelect.value = preferred;
+  }
+
+  updateModelCapabilities();
+}
+
+/**
+ * @param {string} [modelId] - Defaults to the selected model
+ * @returns {Object|null} Model metadata from the API, or null if unknown
+ */
+function getModel(modelId = modelSelect.value) {
+  return modelsCache.find(m => m.model_id === modelId) || null;
+}
+
+/**
+ * Max characters per request for a model — longer scripts are split into parts.
+ * @param {string} [modelId] - Defaults to the selected model
+ * @returns {number}
+ */
+function getCharLimit(modelId) {
+  const model = getModel(modelId);
+  return (model && (model.maximum_text_length_per_request || model.max_characters_request_subscribed_user)) ||
+    DEFAULT_CHAR_LIMIT;
+}
+
+/**
+ * @param {string} [modelId] - Defaults to the selected model
+ * @returns {boolean} True if generations with this model can enforce a language
+ */
+function supportsLanguageCode(modelId = modelSelect.value) {
+  return LANGUAGE_CODE_MODELS.includes(modelId);
+}
+
+/**
+ * Capability flags for a model: the API's can_use_* flags, plus
+ * "can_set_language" when it accepts a language code and speaks more than one language.
+ * @param {Object} model - Model metadata from the API
+ * @returns {Object}
+ */
+function modelCapabilities(model) {
+  return {
+    ...model,
+    can_set_language: supportsLanguageCode(model.model_id) && (model.languages || []).length > 1,
+  };
+}
+
+// Language choices follow the selected model; the saved choice is kept when still offered
+function renderLanguageOptions(model) {
+  const languages = model && model.languages ? model.languages : [];
+  const saved = loadFromStorage(STORAGE_KEYS.LANGUAGE_CODE) || '';
+
+  languageCode.innerHTML = '<option value="">Auto-detect</option>' + languages.map(l =>
+    `<option value="${escapeHtml(l.language_id)}">${escapeHtml(l.name)}</option>`
+  ).join('');
+  languageCode.value = languages.some(l => l.language_id === saved) ? saved : '';
+}
+
+/**
+ * Show the selected model's languages and request limit, and hide controls it
+ * doesn't support. Controls name their model flag in data-capability
+ * (e.g. data-capability="can_use_style"); unknown models hide nothing.
+ */
+function updateModelCapabilities() {
+  const model = getModel();
+
+  const capabilities = model ? modelCapabilities(model) : null;
+
+  document.querySelectorAll('[data-capability]').forEach(el => {
+    el.classList.toggle('unsupported', !!capabilities && !capabilities[el.dataset.capability]);
+  });
+  renderLanguageOptions(model);
+
+  if (model) {
+    const languages = model.languages || [];
+    const languageNote = languages.length === 1 ? languages[0].name : `${languages.length} languages`;
+    modelInfo.textContent = `${languageNote} · ${getCharLimit().toLocaleString()} characters per request`;
+    modelInfo.title = model.description || '';
+  } else {
+    modelInfo.textContent = '';
+    modelInfo.title = '';
+  }
+
+  updateCharCount();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MODEL & VOICE SETTINGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+modelSelect.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.LAST_MODEL, modelSelect.value);
+  updateModelCapabilities();
+});
+
+stabilitySlider.addEventListener('input', () => {
+  stabilityValue.textContent = `${stabilitySlider.value}%`;
+  saveToStorage(STORAGE_KEYS.STABILITY, stabilitySlider.value);
+});
+
+claritySlider.addEventListener('input', () => {
+  clarityValue.textContent = `${claritySlider.value}%`;
+  saveToStorage(STORAGE_KEYS.CLARITY, claritySlider.value);
+});
+
+styleSlider.addEventListener('input', () => {
+  styleValue.textContent = `${styleSlider.value}%`;
+  saveToStorage(STORAGE_KEYS.STYLE, styleSlider.value);
+});
+
+speedSlider.addEventListener('input', () => {
+  speedValue.textContent = `${(speedSlider.value / 100).toFixed(2)}×`;
+  saveToStorage(STORAGE_KEYS.SPEED, speedSlider.value);
+});
+
+speakerBoost.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.SPEAKER_BOOST, speakerBoost.checked ? '1' : '0');
+});
+
+languageCode.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.LANGUAGE_CODE, languageCode.value);
+});
+
+textNormalization.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.TEXT_NORMALIZATION, textNormalization.value);
+});
+
+seedInput.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.SEED, seedInput.value);
+});
+
+outputFormat.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.OUTPUT_FORMAT, outputFormat.value);
+  updateWavOptions();
+});
+
+wavBitDepth.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.WAV_BIT_DEPTH, wavBitDepth.value);
+});
+
+wavSampleRate.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.WAV_SAMPLE_RATE, wavSampleRate.value);
+});
+
+// WAV deliverable options only apply to PCM formats
+function updateWavOptions() {
+  wavOptions.style.display = isPcmFormat(outputFormat.value) ? 'block' : 'none';
+}
+
+autoInsert.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.AUTO_INSERT, autoInsert.checked ? '1' : '0');
+  document.getElementById('trackRow').style.display = autoInsert.checked ? 'flex' : 'none';
+  sfxTrackRow.style.display = autoInsert.checked ? 'flex' : 'none';
+});
+
+audioTrack.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.AUDIO_TRACK, audioTrack.value);
+});
+
+insertMode.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.INSERT_MODE, insertMode.value);
+});
+
+captionsToggle.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.CAPTIONS, captionsToggle.checked ? '1' : '0');
+});
+
+streamToggle.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.STREAMING, streamToggle.checked ? '1' : '0');
+});
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRESETS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Marks exported files so imports can reject unrelated JSON
+const PRESET_FILE_TYPE = 'elevenlabs-voiceover-preset';
+
+// Controls bundled into a preset, in the order they're applied
+// (model before language, since the language list follows the model)
+const PRESET_CONTROLS = [
+  ['voiceId', voiceSelect],
+  ['modelId', modelSelect],
+  ['stability', stabilitySlider],
+  ['clarity', claritySlider],
+  ['style', styleSlider],
+  ['speed', speedSlider],
+  ['speakerBoost', speakerBoost],
+  ['languageCode', languageCode],
+  ['textNormalization', textNormalization],
+  ['seed', seedInput],
+  ['dictionaries', attachedDictionaries],
+  ['dictionaryMode', dictionaryMode],
+  ['outputFormat', outputFormat],
+  ['wavBitDepth', wavBitDepth],
+  ['wavSampleRate', wavSampleRate],
+  ['trimSilence', trimSilence],
+  ['silenceThreshold', silenceThreshold],
+  ['padHead', padHead],
+  ['padTail', padTail],
+  ['loudnessTarget', loudnessTarget],
+  ['truePeakCeiling', truePeakCeiling],
+];
+
+presetSelect.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.ACTIVE_PRESET, presetSelect.value);
+  const preset = getSelectedPreset();
+  presetName.value = preset ? preset.name : '';
+  if (preset) applyPreset(preset);
+});
+
+savePresetBtn.addEventListener('click', () => {
+  const name = presetName.value.trim();
+  if (!name) {
+    showStatus('Type a name for the preset', 'warning');
+    return;
+  }
+
+  const preset = capturePreset(name);
+  const index = presets.findIndex(p => p.name === name);
+  if (index >= 0) {
+    presets[index] = preset;
+  } else {
+    presets.push(preset);
+  }
+  savePresets();
+  selectPreset(`user:${name}`);
+  showStatus(`✓ Preset "${name}" ${index >= 0 ? 'updated' : 'saved'}`, 'success');
+});
+
+renamePresetBtn.addEventListener('click', () => {
+  const preset = getSelectedPreset();
+  const name = presetName.value.trim();
+  if (!preset || preset.shared) {
+    showStatus('Select one of your presets to rename', 'warning');
+    return;
+  }
+  if (!name || name === preset.name) return;
+  if (presets.some(p => p.name === name)) {
+    showStatus(`A preset named "${name}" already exists`, 'warning');
+    return;
+  }
+
+  preset.name = name;
+  savePresets();
+  selectPreset(`user:${name}`);
+  showStatus(`✓ Preset renamed to "${name}"`, 'success');
+});
+
+deletePresetBtn.addEventListener('click', () => {
+  const preset = getSelectedPreset();
+  if (!preset || preset.shared) {
+    showStatus('Select one of your presets to delete', 'warning');
+    return;
+  }
+
+  showStatus(`Delete preset "${preset.name}"?`, 'warning', false, {
+    label: 'Delete',
+    onClick: () => {
+      presets = presets.filter(p => p !== preset);
+      savePresets();
+      selectPreset('');
+      presetName.value = '';
+      showStatus(`✓ Preset "${preset.name}" deleted`, 'success');
+    },
+  });
+});
+
+presetFolder.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.PRESET_FOLDER, presetFolder.value.trim());
+  loadSharedPresets();
+  renderPresets();
+});
+
+exportPresetBtn.addEventListener('click', () => {
+  const preset = getSelectedPreset();
+  const folder = presetFolder.value.trim();
+  if (!preset) {
+    showStatus('Select a preset to export', 'warning');
+    return;
+  }
+  if (!fs || !path) {
+    showStatus('Exporting presets needs Node.js file access', 'error');
+    return;
+  }
+  if (!folder || !fs.existsSync(folder)) {
+    showStatus('Set a shared folder that exists first', 'warning');
+    return;
+  }
+
+  try {
+    const filePath = path.join(folder, `${sanitizeFilename(preset.name)}.json`);
+    fs.writeFileSync(filePath, presetFileContents(preset), 'utf8');
+    loadSharedPresets();
+    renderPresets();
+    showStatus(`✓ Exported "${preset.name}" to ${filePath}`, 'success');
+  } catch (err) {
+    showStatus(`Export failed: ${err.message}`, 'error');
+  }
+});
+
+importPresetBtn.addEventListener('click', () => importPresetFile.click());
+
+importPresetFile.addEventListener('change', async () => {
+  const imported = [];
+  const failed = [];
+
+  for (const file of Array.from(importPresetFile.files)) {
+    try {
+      const preset = parsePresetFile(await file.text(), file.name.replace(/\.json$/i, ''));
+      preset.name = uniquePresetName(preset.name);
+      presets.push(preset);
+      imported.push(preset.name);
+    } catch {
+      failed.push(file.name);
+    }
+  }
+  importPresetFile.value = '';
+
+  if (imported.length > 0) {
+    savePresets();
+    selectPreset(`user:${imported[imported.length - 1]}`);
+  }
+  if (failed.length > 0) {
+    showStatus(`⚠ Imported ${imported.length}, not a preset file: ${failed.join(', ')}`, 'warning');
+  } else if (imported.length > 0) {
+    showStatus(`✓ Imported ${imported.join(', ')}`, 'success');
+  }
+});
+
+/**
+ * Snapshot the current settings.
+ * @param {string} name
+ * @returns {Object} { name, values }
+ */
+function capturePreset(name) {
+  return { name, values: readControlValues() };
+}
+
+/**
+ * @returns {Object} Current value of every preset control, keyed as in PRESET_CONTROLS
+ */
+function readControlValues() {
+  const values = {};
+  PRESET_CONTROLS.forEach(([key, control]) => {
+    values[key] = control.type === 'checkbox' ? control.checked : control.value;
+  });
+  return values;
+}
+
+/**
+ * Load a preset into the controls. Settings a preset doesn't have are left alone.
+ * @param {Object} preset - { name, values }
+ */
+function applyPreset(preset) {
+  const skipped = [];
+  PRESET_CONTROLS.forEach(([key, control]) => {
+    if (!(key in preset.values)) return;
+    if (!setControl(control, preset.values[key])) skipped.push(key);
+  });
+
+  updateCharCount();
+  updateGenerateButton();
+
+  if (skipped.includes('voiceId')) {
+    showStatus(`⚠ "${preset.name}" uses a voice that isn't in your account`, 'warning');
+  } else if (skipped.length > 0) {
+    showStatus(`⚠ "${preset.name}" applied — not available here: ${skipped.join(', ')}`, 'warning');
+  } else {
+    hideStatus();
+  }
+}
+
+/**
+ * Set a settings control and fire its listener so value labels and saved settings follow.
+ * @param {HTMLElement} control - Select, slider, checkbox or input
+ * @param {*} value
+ * @returns {boolean} false if a select doesn't offer the value
+ */
+function setControl(control, value) {
+  if (control.type === 'checkbox') {
+    control.checked = Boolean(value);
+  } else {
+    if (control.tagName === 'SELECT' && !Array.from(control.options).some(o => o.value === String(value))) {
+      return false;
+    }
+    control.value = value;
+  }
+  control.dispatchEvent(new Event(control.type === 'range' ? 'input' : 'change'));
+  return true;
+}
+
+function savePresets() {
+  saveToStorage(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+}
+
+/**
+ * @returns {Object|null} Selected preset; shared presets have shared: true
+ */
+function getSelectedPreset() {
+  const [source, ...rest] = presetSelect.value.split(':');
+  const name = rest.join(':');
+  if (source === 'user') return presets.find(p => p.name === name) || null;
+  if (source === 'shared') return sharedPresets.find(p => p.name === name) || null;
+  return null;
+}
+
+function selectPreset(value) {
+  saveToStorage(STORAGE_KEYS.ACTIVE_PRESET, value);
+  renderPresets();
+}
+
+function uniquePresetName(name) {
+  let candidate = name;
+  for (let n = 2; presets.some(p => p.name === candidate); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * @param {string} text - Contents of an exported preset file
+ * @param {string} fallbackName - Used when the file has no name
+ * @returns {Object} { name, values }
+ */
+function parsePresetFile(text, fallbackName) {
+  const data = JSON.parse(text);
+  if (!data || data.type !== PRESET_FILE_TYPE || typeof data.values !== 'object') {
+    throw new Error('Not a preset file');
+  }
+  return { name: String(data.name || fallbackName), values: data.values };
+}
+
+function presetFileContents(preset) {
+  return JSON.stringify({ type: PRESET_FILE_TYPE, version: 1, name: preset.name, values: preset.values }, null, 2);
+}
+
+// Presets in the shared folder are read-only here — import one to change it
+function loadSharedPresets() {
+  sharedPresets = [];
+  const folder = presetFolder.value.trim();
+  if (!fs || !path || !folder) return;
+
+  try {
+    fs.readdirSync(folder)
+      .filter(f => /\.json$/i.test(f))
+      .forEach(f => {
+        try {
+          const preset = parsePresetFile(fs.readFileSync(path.join(folder, f), 'utf8'), f.replace(/\.json$/i, ''));
+          sharedPresets.push({ ...preset, shared: true });
+        } catch { /* not a preset file */ }
+      });
+  } catch (err) {
+    console.warn('Could not read shared presets:', err.message);
+  }
+}
+
+function renderPresets() {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const options = list => list.slice().sort(byName).map(p => {
+    const value = `${p.shared ? 'shared' : 'user'}:${p.name}`;
+    return `<option value="${escapeHtml(value)}">${escapeHtml(p.name)}</option>`;
+  }).join('');
+
+  presetSelect.innerHTML = '<option value="">Custom settings</option>' +
+    (presets.length > 0 ? `<optgroup label="My presets">${options(presets)}</optgroup>` : '') +
+    (sharedPresets.length > 0 ? `<optgroup label="Shared">${options(sharedPresets)}</optgroup>` : '');
+
+  const active = loadFromStorage(STORAGE_KEYS.ACTIVE_PRESET) || '';
+  presetSelect.value = Array.from(presetSelect.options).some(o => o.value === active) ? active : '';
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCRIPT TEXT & CHARACTER COUNT
+// ═══════════════════════════════════════════════════════════════════════════
+
+scriptText.addEventListener('input', () => {
+  updateCharCount();
+  if (scriptMode === 'dialogue') renderSpeakers();
+  updateGenerateButton();
+});
+
+// Scripts over the request limit are generated in parts, so show the part count instead
+function updateCharCount() {
+  const len = scriptText.value.length;
+  const limit = getCharLimit();
+  const parts = len > limit ? splitScript(scriptText.value, limit).length : 1;
+
+  if (parts > 1) {
+    charCount.textContent = `${len.toLocaleString()} · ${parts} parts`;
+    charCount.className = 'char-count split';
+  } else {
+    charCount.textContent = `${len.toLocaleString()} / ${limit.toLocaleString()}`;
+    charCount.className = len >= limit * 0.9 ? 'char-count warn' : 'char-count';
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GENERATE BUTTON
+// ═══════════════════════════════════════════════════════════════════════════
+
+function updateGenerateButton() {
+  generateBtn.disabled = !canGenerate() || isGenerating;
+  updateCostEstimate();
+}
+
+function canGenerate() {
+  if (activePanel === 'sfx') {
+    return sfxPrompt.value.trim().length > 0;
+  }
+  if (scriptMode === 'dialogue') {
+    return isDialogueReady();
+  }
+  if (scriptMode === 'markers') {
+    return voiceSelect.value !== '' && getSelectedMarkers().length > 0;
+  }
+  if (scriptMode === 'batch') {
+    return !!batchQueue && batchQueue.jobs.some(j => j.status !== 'done');
+  }
+  if (scriptMode === 'convert') {
+    // The selection is read again when generating, so it needn't be loaded yet
+    return voiceSelect.value !== '';
+  }
+  const hasVoice = voiceSelect.value !== '';
+  const hasText = scriptText.value.trim().length > 0;
+  return hasVoice && hasText;
+}
+
+generateBtn.addEventListener('click', async () => {
+  if (!canGenerate() || isGenerating) return;
+  if (!checkJobBudget()) return;
+
+  isGenerating = true;
+  generationController = new AbortController();
+  generateBtn.disabled = true;
+  generateBtn.classList.add('generating');
+  generateBtnText.textContent = 'Generating...';
+  cancelBtn.style.display = '';
+  cancelBtn.disabled = false;
+  audioPreview.classList.remove('visible');
+  audioPlayer.unload();
+  playerItem = null;
+  stopStreamPlayer();
+
+  try {
+    await syncProjectStores();
+
+    if (activePanel === 'sfx') {
+      await generateSfx();
+    } else if (scriptMode === 'dialogue') {
+      await generateDialogue();
+    } else if (scriptMode === 'markers') {
+      await generateFromMarkers();
+    } else if (scriptMode === 'batch') {
+      await generateBatch();
+    } else if (scriptMode === 'convert') {
+      await convertSelectedClip();
+    } else {
+      await generateSingleVoice();
+    }
+    randomSeed = null;
+
+    // Auto-dismiss success after 4s
+    setTimeout(() => {
+      if (statusBar.classList.contains('success')) hideStatus();
+    }, 4000);
+
+  } catch (err) {
+    // A long script that failed part-way can resume from the failed part
+    const retry = longScriptJob ? { label: 'Retry', onClick: () => generateBtn.click() } : null;
+    if (err.cancelled) {
+      showStatus('Generation cancelled', 'info', false, retry && { ...retry, label: 'Resume' });
+    } else {
+      showStatus(`Error: ${describeApiError(err)}`, 'error', false, retry);
+      console.error('Generation error:', err);
+    }
+  } finally {
+    isGenerating = false;
+    generationController = null;
+    generateBtn.classList.remove('generating');
+    updateGenerateLabel();
+    cancelBtn.style.display = 'none';
+    updateGenerateButton();
+    libraryRegenerateSeed = null;
+    refreshUsage();
+  }
+});
+
+// Abort the request in flight; a batch also drops its queued rows
+cancelBtn.addEventListener('click', () => {
+  if (!generationController) return;
+  cancelBtn.disabled = true;
+  if (batchQueue) batchQueue.cancel();
+  generationController.abort();
+});
+
+// Let the user know why a generation is taking longer than usual
+elevenLabsAPI.onRetry = (err, delay, attempt, maxRetries) => {
+  if (!isGenerating) return;
+  const reason = err.status === 429 ? 'Rate limited' : 'ElevenLabs is not responding';
+  showStatus(`${reason} — retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${maxRetries})...`, 'warning', true);
+};
+
+/**
+ * A user-facing message for a failed API call.
+ * @param {Error} err - An ElevenLabsError, or any other error
+ * @returns {string}
+ */
+function describeApiError(err) {
+  if (err.code === 'quota_exceeded') return 'Character quota exceeded. Check your ElevenLabs plan.';
+  if (err.code === 'missing_permissions') return `Your API key is missing a permission — ${err.message}`;
+  if (err.status === 401) return 'API key expired or invalid. Please reconnect.';
+  if (err.status === 429) return 'Rate limited by ElevenLabs. Wait a moment and retry.';
+  if (err.code === 'timeout') return 'ElevenLabs took too long to respond. Try again in a moment.';
+  if (err.code === 'network') return 'Could not reach ElevenLabs. Check your internet connection.';
+  return err.message;
+}
+
+/**
+ * Generate the whole script with the selected voice, save it,
+ * and import/insert it according to the output settings.
+ */
+async function generateSingleVoice() {
+  const text = scriptText.value.trim();
+
+  // Step 1: Generate speech (long scripts are generated in parts and stitched,
+  // and optionally fitted to a target duration)
+  const fit = fitEnabled.checked ? await getFitTarget() : null;
+  const settings = getVoiceSettings();
+  const voiceName = (voiceSelect.options[voiceSelect.selectedIndex]?.text || 'voice').split(' — ')[0].trim();
+  const baseName = `VO_${sanitizeFilename(voiceName)}_${fileTimestamp()}`;
+  let fileData, ext, alignment, loudness;
+  let savePath = null;
+  let fitReport = '';
+  let characters = text.length;
+
+  if (fit) {
+    const fitted = await generateToFit(text, settings, captionsToggle.checked, fit.duration);
+    ({ data: fileData, ext, alignment, characters, loudness } = fitted);
+    fitReport = describeFit(fitted, fit.duration);
+    settings.speed = fitted.speed;
+  } else if (canStream(text, settings)) {
+    // Streamed audio is written to disk as it arrives, unless post-processing rewrites it
+    const progressive = !processingChangesAudio(settings.postProcessing);
+    const streamed = await streamSpeech(text, settings, baseName, progressive);
+    ({ data: fileData, ext, alignment, loudness } = await postProcess(streamed, settings));
+    savePath = streamed.path;
+  } else {
+    showStatus('Generating speech...', 'info', true);
+    const result = await synthesize(text, settings, captionsToggle.checked);
+    const file = prepareAudioFile(result.audio, settings.outputFormat);
+    ({ data: fileData, ext, alignment, loudness } = await postProcess(file, settings, result.alignment));
+  }
+
+  // Step 2: Save to file (PCM gets wrapped in a WAV container first)
+  showStatus('Saving audio file...', 'info', true);
+  lastAudioBuffer = fileData;
+
+  const fileName = `${baseName}.${ext}`;
+  if (!savePath) savePath = await writeOutputFile(fileData, fileName, ext);
+  const captionPath = alignment ? await saveCaptionFiles(alignment, fileName) : null;
+
+  lastAudioPath = savePath;
+
+  // Step 3: Import into project and optionally insert into timeline
+  if (autoInsert.checked) {
+    showStatus('Importing into timeline...', 'info', true);
+    const trackIndex = parseInt(audioTrack.value, 10);
+    // A clip fitted to the in/out range goes at the in point
+    const insertOptions = getInsertOptions(fit && fit.at != null ? { at: fit.at } : {});
+    try {
+      const result = await callExtendScript('importAndInsert', savePath, trackIndex, insertOptions);
+      const parsed = JSON.parse(result);
+      if (parsed.error) {
+        // Try import-only fallback
+        console.warn('Timeline insert failed:', parsed.error);
+        try {
+          const importResult = await callExtendScript('importFile', savePath);
+          const importParsed = JSON.parse(importResult);
+          if (importParsed.error) {
+            showStatus(`✓ Audio saved to: ${savePath}`, 'success');
+          } else {
+            showStatus(`⚠ Imported to Voiceovers bin (timeline insert failed: ${parsed.error})`, 'warning');
+          }
+        } catch {
+          showStatus(`✓ Audio saved to: ${savePath}`, 'success');
+        }
+      } else if (captionPath) {
+        const captions = await placeCaptions(captionPath, parsed.start);
+        if (captions.ok) {
+          showStatus(`✓ Voiceover and captions ${insertedWhere()}`, 'success');
+        } else {
+          showStatus(`⚠ Voiceover added, captions not placed: ${captions.message}`, 'warning');
+        }
+      } else {
+        showStatus(`✓ Voiceover ${insertedWhere()}`, 'success');
+      }
+    } catch (insertErr) {
+      console.warn('Timeline insert error:', insertErr.message);
+      try {
+        await callExtendScript('importFile', savePath);
+        showStatus(`⚠ Imported to Voiceovers bin (timeline insert failed)`, 'warning');
+      } catch {
+        showStatus(`✓ Audio saved to: ${savePath}`, 'success');
+      }
+    }
+  } else {
+    // Import into the project panel only
+    try {
+      const result = await callExtendScript('importFile', savePath);
+      const parsed = JSON.parse(result);
+      if (parsed.error) {
+        showStatus(`✓ Audio saved to: ${savePath}`, 'success');
+      } else {
+        showStatus('✓ Audio saved & imported to Voiceovers bin', 'success');
+      }
+    } catch {
+      showStatus(`✓ Audio saved to: ${savePath}`, 'success');
+    }
+  }
+
+  if (fitReport) {
+    statusText.textContent += ` · ${fitReport}`;
+  }
+
+  // Show the result in the player
+  showGeneratedAudio();
+
+  // Add to the library and to the line's takes
+  addToLibrary({
+    text,
+    voiceName,
+    settings,
+    filePath: savePath,
+    duration: fileDuration(fileData, ext, settings.outputFormat),
+    characters,
+    loudness,
+  });
+  recordTake(text, voiceName, savePath);
+}
+
+
+/**
+ * Voice, model and format options from the single-voice controls.
+ * Style and speaker boost are only sent to models that support them.
+ * @returns {Object} Options for generateSpeech() (everything except text)
+ */
+function getVoiceSettings() {
+  return settingsFromValues(readControlValues());
+}
+
+/**
+ * Turn control values (as captured in a preset) into generateSpeech() options.
+ * @param {Object} values - From readControlValues(), possibly overridden by a preset
+ * @returns {Object} Options for generateSpeech() (everything except text)
+ */
+function settingsFromValues(values) {
+  const model = getModel(values.modelId);
+  const settings = {
+    voiceId: values.voiceId,
+    modelId: values.modelId,
+    stability: values.stability / 100,
+    similarityBoost: values.clarity / 100,
+    speed: values.speed / 100,
+    outputFormat: values.outputFormat,
+    ...getGenerationOptions(values),
+    postProcessing: getPostProcessing(values),
+  };
+  if (!model || model.can_use_style) settings.style = values.style / 100;
+  if (!model || model.can_use_speaker_boost) settings.useSpeakerBoost = Boolean(values.speakerBoost);
+  return settings;
+}
+
+/**
+ * Seed, language, normalization and dictionary options shared by every script mode.
+ * A blank seed gets a random one, kept until the generation succeeds so
+ * a retry resumes with the same seed — either way it's recorded in the library.
+ * Regenerating from the library uses the entry's seed instead, for that generation only.
+ * @param {Object} [values] - Control values (defaults to the panel's current ones)
+ * @returns {Object} { seed, applyTextNormalization, languageCode?, plus getPronunciationOptions() }
+ */
+function getGenerationOptions(values = readControlValues()) {
+  let seed = parseInt(values.seed, 10);
+  if (libraryRegenerateSeed !== null) {
+    seed = libraryRegenerateSeed;
+  } else if (!(seed >= 0 && seed <= MAX_SEED)) {
+    if (randomSeed === null) randomSeed = Math.floor(Math.random() * (MAX_SEED + 1));
+    seed = randomSeed;
+  }
+
+  const options = { seed, applyTextNormalization: values.textNormalization };
+  if (values.languageCode && supportsLanguageCode(values.modelId)) options.languageCode = values.languageCode;
+  return { ...options, ...getPronunciationOptions(values) };
+}
+
+/**
+ * Generate speech for text of any length.
+ * @param {string} text - Text to speak
+ * @param {Object} settings - From getVoiceSettings()
+ * @param {boolean} [withTimestamps=false] - Also return character alignment
+ * @param {boolean} [interactive=true] - See generateLongScript()
+ * @returns {Promise<Object>} { audio: ArrayBuffer, alignment|null }
+ */
+async function synthesize(text, settings, withTimestamps = false, interactive = true) {
+  text = await speakableText(text, settings);
+  const parts = splitScript(text, getCharLimit(settings.modelId));
+  if (parts.length > 1) {
+    return generateLongScript(parts, settings, withTimestamps, interactive);
+  }
+  if (withTimestamps) {
+    const { audio, alignment } = await elevenLabsAPI.generateSpeechWithTimestamps({ text, ...settings, signal: generationController?.signal });
+    return { audio, alignment };
+  }
+  return { audio: await elevenLabsAPI.generateSpeech({ text, ...settings, signal: generationController?.signal }), alignment: null };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// USAGE & COST
+// ═══════════════════════════════════════════════════════════════════════════
+
+jobBudget.addEventListener('input', () => {
+  saveToStorage(STORAGE_KEYS.JOB_BUDGET, jobBudget.value);
+  updateCostEstimate();
+});
+
+budgetAction.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.BUDGET_ACTION, budgetAction.value);
+  updateCostEstimate();
+});
+
+/**
+ * Fetch the account's character usage and show it. Keys without the
+ * user_read permission can't read it; estimates are shown without it.
+ */
+async function refreshUsage() {
+  try {
+    usage = await elevenLabsAPI.getUsage();
+  } catch (err) {
+    console.warn('Could not fetch usage:', err.message);
+  }
+  renderUsage();
+  updateCostEstimate();
+}
+
+function renderUsage() {
+  if (!usage || !usage.limit) {
+    usageTier.textContent = 'Usage unavailable';
+    usageText.textContent = 'Needs the user_read permission on the API key';
+    usageBarFill.style.width = '0';
+    return;
+  }
+
+  const tier = usage.tier.replace(/_/g, ' ');
+  usageTier.textContent = tier ? `${tier.charAt(0).toUpperCase()}${tier.slice(1)} plan` : 'ElevenLabs plan';
+  const reset = usage.resetsAt
+    ? ` · resets ${usage.resetsAt.toLocaleDateString([], { month: 'short', day: 'numeric' })}`
+    : '';
+  usageText.textContent = `${usage.remaining.toLocaleString()} of ${usage.limit.toLocaleString()} characters left${reset}`;
+  usageBarFill.style.width = `${Math.min(usage.used / usage.limit, 1) * 100}%`;
+  usageBarFill.classList.toggle('low', usage.remaining < usage.limit * 0.1);
+}
+
+/**
+ * Characters the model bills per character of text (Flash and Turbo bill less than one).
+ * @param {string} [modelId] - Defaults to the selected model
+ * @returns {number}
+ */
+function getCostMultiplier(modelId) {
+  const model = getModel(modelId);
+  const multiplier = model && model.model_rates && model.model_rates.character_cost_multiplier;
+  return multiplier > 0 ? multiplier : 1;
+}
+
+/**
+ * Characters the job the Generate button would run is billed, before any retries.
+ * @returns {number|null} null for jobs that aren't billed per character (re-voice, sound effects)
+ */
+function estimateJobCharacters() {
+  if (activePanel === 'sfx' || scriptMode === 'convert') return null;
+
+  let characters;
+  if (scriptMode === 'dialogue') {
+    characters = parseDialogue(scriptText.value).lines.reduce((sum, line) => sum + line.text.length, 0);
+  } else if (scriptMode === 'markers') {
+    characters = getSelectedMarkers().reduce((sum, marker) => sum + markerText(marker).length, 0);
+  } else if (scriptMode === 'batch') {
+    characters = batchQueue
+      ? batchQueue.jobs.filter(j => j.status !== 'done').reduce((sum, j) => sum + j.item.text.length, 0)
+      : 0;
+  } else {
+    characters = scriptText.value.trim().length;
+  }
+  return Math.ceil(characters * getCostMultiplier());
+}
+
+/**
+ * Full generations the job may run: fitting by speaking rate regenerates
+ * until the length fits, each attempt billed in full.
+ * @returns {number}
+ */
+function jobGenerationCount() {
+  return scriptMode === 'single' && fitEnabled.checked && fitMethod.value === 'rate' ? MAX_FIT_ATTEMPTS : 1;
+}
+
+/**
+ * @param {number} estimate - Most characters the job can use (estimateJobCharacters() × jobGenerationCount())
+ * @returns {Object|null} { message, block } when the job goes over the budget
+ *   or the characters left this period, otherwise null
+ */
+function budgetProblem(estimate) {
+  const budget = parseInt(jobBudget.value, 10);
+  if (budget > 0 && estimate > budget) {
+    return { message: `over the ${budget.toLocaleString()}-character budget`, block: budgetAction.value === 'block' };
+  }
+  // Plans with usage-based billing can go over, so this only warns
+  if (usage && usage.limit && estimate > usage.remaining) {
+    return { message: `more than the ${usage.remaining.toLocaleString()} characters left`, block: false };
+  }
+  return null;
+}
+
+function updateCostEstimate() {
+  const estimate = estimateJobCharacters();
+  // Scripts show it beside their character count; markers and batches above Generate
+  const besideScript = scriptMode === 'single' || scriptMode === 'dialogue';
+  [costEstimate, scriptCost].forEach(el => {
+    el.textContent = '';
+    el.title = '';
+    el.className = 'cost-estimate';
+  });
+  if (!estimate) return;
+
+  let text = `≈ ${estimate.toLocaleString()} characters`;
+  const attempts = jobGenerationCount();
+  if (attempts > 1) text += ` (up to ×${attempts} to fit)`;
+  const problem = budgetProblem(estimate * attempts);
+  if (problem) {
+    text += ` — ${problem.message}`;
+  } else if (usage && usage.limit) {
+    text += ` of ${usage.remaining.toLocaleString()} left`;
+  }
+
+  const el = besideScript ? scriptCost : costEstimate;
+  // The script header only has room for the number; the rest is in the tooltip
+  el.textContent = besideScript ? `≈ ${estimate.toLocaleString()} billed` : text;
+  el.title = text;
+  el.className = `cost-estimate${problem ? (problem.block ? ' limit' : ' warn') : ''}`;
+}
+
+/**
+ * Hold back a job that goes over the budget: blocked outright, or with a
+ * warning whose button runs it anyway.
+ * @returns {boolean} True if the job can start
+ */
+function checkJobBudget() {
+  const confirmed = budgetConfirmed;
+  budgetConfirmed = false;
+
+  const estimate = estimateJobCharacters();
+  // Budgets hold for the worst case, so a job is never blocked only after it's run
+  const attempts = jobGenerationCount();
+  const problem = estimate ? budgetProblem(estimate * attempts) : null;
+  if (!problem) return true;
+
+  const needed = attempts > 1
+    ? `up to ${(estimate * attempts).toLocaleString()} characters (${attempts} attempts to fit)`
+    : `≈ ${estimate.toLocaleString()} characters`;
+  const summary = `This job needs ${needed} — ${problem.message}`;
+  if (problem.block) {
+    showStatus(`${summary}. Raise the budget in the settings menu to run it.`, 'error');
+    return false;
+  }
+  if (confirmed) return true;
+  showStatus(summary, 'warning', false, {
+    label: 'Generate anyway',
+    onClick: () => {
+      budgetConfirmed = true;
+      generateBtn.click();
+    },
+  });
+  return false;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STREAMING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a script can go through the streaming endpoint: captions need the
+ * timestamped endpoint, and long scripts are generated in stitched parts.
+ * @param {string} text
+ * @param {Object} settings - From getVoiceSettings()
+ * @returns {boolean}
+ */
+function canStream(text, settings) {
+  return streamToggle.checked && !captionsToggle.checked &&
+    splitScript(text, getCharLimit(settings.modelId)).length === 1;
+}
+
+/**
+ * Generate through the streaming endpoint — playback starts in the panel with
+ * the first chunks, and the file is written as they arrive.
+ * @param {string} text
+ * @param {Object} settings - From getVoiceSettings()
+ * @param {string} baseName - File name without extension
+ * @param {boolean} [writeFile=true] - Write the file while streaming
+ * @returns {Promise<Object>} { data, ext, path } — the finished file; path is null
+ *   when it wasn't written progressively and still needs saving
+ */
+async function streamSpeech(text, settings, baseName, writeFile = true) {
+  const format = settings.outputFormat;
+  const ext = audioFileExtension(format);
+  const file = writeFile ? await openStreamFile(`${baseName}.${ext}`) : null;
+  const player = StreamPlayer.supports(format) ? new StreamPlayer(format) : null;
+  streamPlayer = player;
+
+  showStatus('Streaming speech...', 'info', true);
+  let seconds = 0;
+  try {
+    const { audio } = await elevenLabsAPI.generateSpeechStream(
+      { text: await speakableText(text, settings), ...settings, signal: generationController?.signal },
+      (chunk, received) => {
+        if (file) file.write(chunk);
+        if (player) player.push(chunk);
+        seconds += estimateAudioDuration(chunk, format);
+        showStatus(`Streaming speech... ${Math.round(received / 1024)} KB · ${seconds.toFixed(1)}s of audio`, 'info', true);
+      }
+    );
+    if (player) player.end();
+
+    // MP3 is saved exactly as streamed; PCM still gets its WAV container
+    const { data } = prepareAudioFile(audio, format);
+    const savePath = file ? file.finish(isPcmFormat(format) ? data : null) : null;
+    return { data, ext, path: savePath };
+  } catch (err) {
+    if (file) file.discard();
+    if (player) player.stop();
+    throw err;
+  }
+}
+
+function stopStreamPlayer() {
+  if (streamPlayer) streamPlayer.stop();
+  streamPlayer = null;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POST-PROCESSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_SILENCE_THRESHOLD = -50;
+const DEFAULT_TRUE_PEAK_CEILING = -1;
+
+[trimSilence, silenceThreshold, padHead, padTail, loudnessTarget, truePeakCeiling].forEach(control => {
+  control.addEventListener('change', () => {
+    saveToStorage(STORAGE_KEYS.POST_PROCESSING, JSON.stringify(getPostProcessing()));
+  });
+});
+
+/**
+ * Post-processing options from control values.
+ * @param {Object} [values] - From readControlValues() (defaults to the panel's controls)
+ * @returns {Object} { trimSilence, silenceThreshold (dB), padHead, padTail (ms),
+ *   loudnessTarget (LUFS, null = off), truePeakCeiling (dBTP) }
+ */
+function getPostProcessing(values = readControlValues()) {
+  const target = parseFloat(values.loudnessTarget);
+  return {
+    trimSilence: Boolean(values.trimSilence),
+    silenceThreshold: parseFloat(values.silenceThreshold) || DEFAULT_SILENCE_THRESHOLD,
+    padHead: Math.max(parseInt(values.padHead, 10) || 0, 0),
+    padTail: Math.max(parseInt(values.padTail, 10) || 0, 0),
+    loudnessTarget: isNaN(target) ? null : target,
+    truePeakCeiling: parseFloat(values.truePeakCeiling) || DEFAULT_TRUE_PEAK_CEILING,
+  };
+}
+
+/**
+ * Set the post-processing controls (e.g. from a library entry or saved settings).
+ * @param {Object} options - From getPostProcessing()
+ */
+function applyPostProcessing(options) {
+  setControl(trimSilence, options.trimSilence);
+  setControl(silenceThreshold, String(options.silenceThreshold));
+  setControl(padHead, options.padHead);
+  setControl(padTail, options.padTail);
+  setControl(loudnessTarget, options.loudnessTarget == null ? '' : String(options.loudnessTarget));
+  setControl(truePeakCeiling, String(options.truePeakCeiling));
+}
+
+/**
+ * @param {Object} [options] - From getPostProcessing()
+ * @returns {boolean} True if post-processing will rewrite the audio (not just measure it)
+ */
+function processingChangesAudio(options = getPostProcessing()) {
+  return options.trimSilence || options.padHead > 0 || options.padTail > 0 || options.loudnessTarget != null;
+}
+
+/**
+ * The stage between generation and saving: trim leading/trailing silence,
+ * pad head and tail, and normalize loudness with true-peak limiting.
+ * Every clip is measured, so its loudness can be kept with the generation.
+ * Processed audio is saved as WAV; when nothing is enabled the file is left as is.
+ * @param {Object} file - { data, ext } from prepareAudioFile()
+ * @param {Object} settings - Generation settings (outputFormat, postProcessing)
+ * @param {Object|null} [alignment] - Character timing, moved to match trimmed audio
+ * @returns {Promise<Object>} { data, ext, alignment, duration, loudness }
+ *   loudness = { integrated (LUFS), truePeak (dBTP) }, or null if the audio couldn't be decoded
+ */
+async function postProcess(file, settings, alignment = null) {
+  const options = settings.postProcessing || getPostProcessing();
+  const format = settings.outputFormat;
+  const decodeRate = isPcmFormat(format) ? getWavOptions(format).targetSampleRate : formatSampleRate(format);
+
+  let decoded;
+  try {
+    decoded = await decodeAudio(file.data, decodeRate);
+  } catch (err) {
+    console.warn('Could not decode audio for post-processing:', err.message);
+    return { ...file, alignment, duration: fileDuration(file.data, file.ext, format), loudness: null };
+  }
+
+  const sampleRate = decoded.sampleRate;
+  let channels = audioBufferChannels(decoded);
+  if (!processingChangesAudio(options)) {
+    return { ...file, alignment, duration: decoded.duration, loudness: measureAudio(channels, sampleRate) };
+  }
+
+  let start = 0;
+  let end = channels[0].length;
+  if (options.trimSilence) {
+    const bounds = findSoundBounds(channels, sampleRate, options.silenceThreshold);
+    if (bounds) ({ start, end } = bounds);
+  }
+  const head = Math.round((options.padHead / 1000) * sampleRate);
+  const tail = Math.round((options.padTail / 1000) * sampleRate);
+  channels = trimAndPad(channels, start, end, head, tail);
+
+  if (options.loudnessTarget != null) {
+    normalizeLoudness(channels, sampleRate, options.loudnessTarget, options.truePeakCeiling);
+  }
+
+  const offset = (head - start) / sampleRate;
+  const bitDepth = isPcmFormat(format) ? getWavOptions(format).bitDepth : 16;
+  return {
+    data: encodeWavFromFloat(channels, sampleRate, bitDepth),
+    ext: 'wav',
+    alignment: alignment && offset !== 0 ? shiftAlignment(alignment, offset) : alignment,
+    duration: channels[0].length / sampleRate,
+    loudness: measureAudio(channels, sampleRate),
+  };
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Object} { integrated, truePeak } rounded to 0.1 — null for silence
+ */
+function measureAudio(channels, sampleRate) {
+  const round = value => (isFinite(value) ? Math.round(value * 10) / 10 : null);
+  return {
+    integrated: round(measureLoudness(channels, sampleRate)),
+    truePeak: round(measureTruePeak(channels)),
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRONUNCIATION DICTIONARIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Dictionaries the API applies to one generation
+const MAX_ATTACHED_DICTIONARIES = 3;
+
+attachedDictionaries.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.ATTACHED_DICTIONARIES, attachedDictionaries.value);
+  renderDictionaries();
+});
+
+dictionaryMode.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.DICTIONARY_MODE, dictionaryMode.value);
+});
+
+refreshDictionariesBtn.addEventListener('click', () => loadDictionaries());
+
+newDictionaryBtn.addEventListener('click', () => openDictionaryEditor(null, []));
+
+addRuleBtn.addEventListener('click', () => {
+  editingDictionary.rules.push({ type: 'alias', word: '', alias: '' });
+  renderRules();
+  ruleList.lastElementChild.querySelector('[data-field="word"]').focus();
+});
+
+saveDictionaryBtn.addEventListener('click', () => saveDictionary());
+
+cancelDictionaryBtn.addEventListener('click', () => closeDictionaryEditor());
+
+/**
+ * Fill the dictionary list from the API.
+ * Falls back to the last list fetched (e.g. when the key can't read dictionaries).
+ */
+async function loadDictionaries() {
+  try {
+    pronunciationDictionaries = await elevenLabsAPI.getPronunciationDictionaries();
+    saveToStorage(STORAGE_KEYS.DICTIONARIES_CACHE, JSON.stringify(pronunciationDictionaries));
+  } catch (err) {
+    console.warn('Could not load pronunciation dictionaries, using cached list:', err.message);
+    try {
+      pronunciationDictionaries = JSON.parse(loadFromStorage(STORAGE_KEYS.DICTIONARIES_CACHE) || '[]');
+    } catch { /* ignore */ }
+  }
+  renderDictionaries();
+}
+
+/**
+ * @param {string} [value] - Comma-separated dictionary ids (the attachedDictionaries control)
+ * @returns {string[]}
+ */
+function parseDictionaryIds(value = attachedDictionaries.value) {
+  return (value || '').split(',').filter(Boolean);
+}
+
+function renderDictionaries() {
+  const attached = parseDictionaryIds();
+  const full = attached.length >= MAX_ATTACHED_DICTIONARIES;
+
+  dictionaryList.innerHTML = pronunciationDictionaries.map(d => {
+    const checked = attached.includes(d.id);
+    const count = d.latest_version_rules_num;
+    return `
+      <div class="marker-row dictionary-row" title="${escapeHtml(d.description || d.name)}">
+        <input type="checkbox" data-id="${escapeHtml(d.id)}"${checked ? ' checked' : ''}${!checked && full ? ' disabled' : ''} />
+        <span class="marker-text">${escapeHtml(d.name)}</span>
+        <span class="marker-meta">${count != null ? `${count} rule${count === 1 ? '' : 's'}` : ''}</span>
+        <button class="btn-small dictionary-edit" data-id="${escapeHtml(d.id)}">Edit</button>
+      </div>
+    `;
+  }).join('') || '<div class="history-empty">No pronunciation dictionaries yet</div>';
+
+  dictionaryList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+    box.addEventListener('change', () => {
+      const ids = parseDictionaryIds().filter(id => id !== box.dataset.id);
+      if (box.checked) ids.push(box.dataset.id);
+      setControl(attachedDictionaries, ids.join(','));
+    });
+  });
+  dictionaryList.querySelectorAll('.dictionary-edit').forEach(btn => {
+    btn.addEventListener('click', () => editDictionary(btn.dataset.id));
+  });
+}
+
+/**
+ * Dictionaries to use for a generation, at their latest version.
+ * Ids that aren't in the account any more are dropped.
+ * @param {Object} values - Control values (dictionaries, dictionaryMode)
+ * @returns {Object} { pronunciationDictionaryLocators } when ElevenLabs applies them,
+ *   { aliasDictionaries } when the panel applies their aliases, {} when none are attached
+ */
+function getPronunciationOptions(values) {
+  const locators = parseDictionaryIds(values.dictionaries)
+    .map(id => pronunciationDictionaries.find(d => d.id === id))
+    .filter(Boolean)
+    .slice(0, MAX_ATTACHED_DICTIONARIES)
+    .map(d => ({ pronunciation_dictionary_id: d.id, version_id: d.latest_version_id }));
+  if (locators.length === 0) return {};
+  return values.dictionaryMode === 'local'
+    ? { aliasDictionaries: locators }
+    : { pronunciationDictionaryLocators: locators };
+}
+
+/**
+ * The text to send: with alias rules applied when dictionaries are applied
+ * in the panel, otherwise as written.
+ * @param {string} text
+ * @param {Object} settings - Generation settings
+ * @returns {Promise<string>}
+ */
+async function speakableText(text, settings) {
+  if (!settings.aliasDictionaries) return text;
+  const rules = [];
+  for (const locator of settings.aliasDictionaries) {
+    rules.push(...await getDictionaryRules(locator.pronunciation_dictionary_id, locator.version_id));
+  }
+  return applyAliases(text, rules);
+}
+
+/**
+ * Rules of a dictionary version. Versions never change, so they're fetched
+ * once and kept (latest version only) for offline use.
+ * @param {string} id
+ * @param {string} versionId
+ * @returns {Promise<Array>}
+ */
+async function getDictionaryRules(id, versionId) {
+  const cached = dictionaryRules[id];
+  if (cached && cached.versionId === versionId) return cached.rules;
+  const rules = await elevenLabsAPI.getPronunciationRules(id, versionId);
+  cacheDictionaryRules(id, versionId, rules);
+  return rules;
+}
+
+function cacheDictionaryRules(id, versionId, rules) {
+  dictionaryRules[id] = { versionId, rules };
+  saveToStorage(STORAGE_KEYS.DICTIONARY_RULES, JSON.stringify(dictionaryRules));
+}
+
+async function editDictionary(id) {
+  const dictionary = pronunciationDictionaries.find(d => d.id === id);
+  if (!dictionary) return;
+
+  showStatus(`Loading ${dictionary.name}...`, 'info', true);
+  try {
+    const rules = await getDictionaryRules(dictionary.id, dictionary.latest_version_id);
+    hideStatus();
+    openDictionaryEditor(dictionary, rules);
+  } catch (err) {
+    showStatus(`Could not load dictionary: ${describeApiError(err)}`, 'error');
+  }
+}
+
+/**
+ * @param {Object|null} dictionary - Dictionary to edit, or null for a new one
+ * @param {Array} rules - Its current rules
+ */
+function openDictionaryEditor(dictionary, rules) {
+  editingDictionary = {
+    id: dictionary ? dictionary.id : null,
+    name: dictionary ? dictionary.name : '',
+    rules: rules.map(rule => ({ ...rule })),
+  };
+  if (editingDictionary.rules.length === 0) {
+    editingDictionary.rules.push({ type: 'alias', word: '', alias: '' });
+  }
+  dictionaryName.value = editingDictionary.name;
+  dictionaryEditor.style.display = '';
+  renderRules();
+  dictionaryName.focus();
+}
+
+function closeDictionaryEditor() {
+  editingDictionary = null;
+  dictionaryEditor.style.display = 'none';
+  ruleList.innerHTML = '';
+}
+
+function renderRules() {
+  ruleList.innerHTML = editingDictionary.rules.map((rule, index) => {
+    const phoneme = rule.type === 'phoneme';
+    const field = phoneme ? 'phoneme' : 'alias';
+    return `
+      <div class="rule-row" data-index="${index}">
+        <select data-field="type">
+          <option value="alias"${phoneme ? '' : ' selected'}>Alias</option>
+          <option value="phoneme"${phoneme ? ' selected' : ''}>Phoneme</option>
+        </select>
+        <input type="text" data-field="word" placeholder="Word" value="${escapeHtml(rule.word || '')}" />
+        <input type="text" data-field="${field}" placeholder="${phoneme ? 'Pronunciation' : 'Say as'}" value="${escapeHtml(rule[field] || '')}" />
+        ${phoneme ? `
+        <select data-field="alphabet">
+          <option value="ipa"${rule.alphabet === 'cmu-arpabet' ? '' : ' selected'}>IPA</option>
+          <option value="cmu-arpabet"${rule.alphabet === 'cmu-arpabet' ? ' selected' : ''}>CMU</option>
+        </select>` : ''}
+        <button class="btn-icon-small rule-remove" title="Remove rule">✕</button>
+      </div>
+    `;
+  }).join('');
+
+  ruleList.querySelectorAll('.rule-row').forEach(row => {
+    const rule = editingDictionary.rules[row.dataset.index];
+    row.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+        rule[input.dataset.field] = input.value;
+        if (input.dataset.field === 'type') renderRules();
+      });
+    });
+    row.querySelector('.rule-remove').addEventListener('click', () => {
+      editingDictionary.rules.splice(row.dataset.index, 1);
+      renderRules();
+    });
+  });
+}
+
+/**
+ * Create the dictionary being edited, or replace its rules (and name).
+ * Rules missing a word or pronunciation are left out.
+ */
+async function saveDictionary() {
+  const name = dictionaryName.value.trim();
+  const rules = editingDictionary.rules.filter(isCompleteRule).map(rule => (rule.type === 'phoneme'
+    ? { type: 'phoneme', word: rule.word.trim(), phoneme: rule.phoneme.trim(), alphabet: rule.alphabet || 'ipa' }
+    : { type: 'alias', word: rule.word.trim(), alias: rule.alias.trim() }
+  ));
+  if (!name) {
+    showStatus('Enter a name for the dictionary', 'warning');
+    return;
+  }
+  if (rules.length === 0) {
+    showStatus('Add at least one rule with a word and how to say it', 'warning');
+    return;
+  }
+
+  const { id } = editingDictionary;
+  saveDictionaryBtn.disabled = true;
+  showStatus(`Saving ${name}...`, 'info', true);
+  try {
+    let saved;
+    if (id) {
+      saved = await elevenLabsAPI.setPronunciationRules(id, rules);
+      const current = pronunciationDictionaries.find(d => d.id === id);
+      if (!current || current.name !== name) await elevenLabsAPI.renamePronunciationDictionary(id, name);
+    } else {
+      saved = await elevenLabsAPI.createPronunciationDictionary(name, rules);
+    }
+    const skipped = editingDictionary.rules.filter(rule =>
+      !isCompleteRule(rule) && [rule.word, rule.alias, rule.phoneme].some(value => value && value.trim())
+    ).length;
+    cacheDictionaryRules(saved.id, saved.versionId, rules);
+    closeDictionaryEditor();
+    await loadDictionaries();
+
+    const summary = `${rules.length} rule${rules.length === 1 ? '' : 's'}`;
+    if (skipped > 0) {
+      showStatus(`⚠ Saved ${name} — ${summary}, ${skipped} incomplete left out`, 'warning');
+    } else {
+      showStatus(`✓ Saved ${name} — ${summary}`, 'success');
+    }
+  } catch (err) {
+    showStatus(`Could not save dictionary: ${describeApiError(err)}`, 'error');
+  } finally {
+    saveDictionaryBtn.disabled = false;
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIT TO DURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Speaking rates the API accepts
+const SPEED_MIN = 0.7;
+const SPEED_MAX = 1.2;
+const MAX_FIT_ATTEMPTS = 3;
+
+const FIT_CONTROLS = [
+  [fitEnabled, STORAGE_KEYS.FIT_ENABLED],
+  [fitSource, STORAGE_KEYS.FIT_SOURCE],
+  [fitSeconds, STORAGE_KEYS.FIT_SECONDS],
+  [fitTolerance, STORAGE_KEYS.FIT_TOLERANCE],
+  [fitMethod, STORAGE_KEYS.FIT_METHOD],
+];
+
+FIT_CONTROLS.forEach(([control, key]) => {
+  control.addEventListener('change', () => {
+    saveToStorage(key, control.type === 'checkbox' ? (control.checked ? '1' : '0') : control.value);
+    updateFitOptions();
+    updateCostEstimate();
+  });
+});
+
+function updateFitOptions() {
+  document.getElementById('fitOptions').style.display = fitEnabled.checked ? 'block' : 'none';
+  document.getElementById('fitSecondsRow').style.display = fitSource.value === 'typed' ? 'flex' : 'none';
+}
+
+/**
+ * Resolve the slot to fill — the sequence in/out range or a typed duration.
+ * @returns {Promise<Object>} { duration, at } — at is the in point, or null for typed durations
+ */
+async function getFitTarget() {
+  if (fitSource.value === 'inout') {
+    const parsed = JSON.parse(await callExtendScript('getSequenceInOut'));
+    if (parsed.error) throw new Error(parsed.error);
+    return { duration: parsed.duration, at: parsed.inPoint };
+  }
+
+  const seconds = parseFloat(fitSeconds.value);
+  if (!(seconds > 0)) throw new Error('Enter a target duration in seconds');
+  return { duration: seconds, at: null };
+}
+
+/**
+ * Generate speech whose length is within tolerance of the target.
+ * "rate" regenerates with the speaking rate scaled by measured/target length;
+ * whatever the rate range can't cover (and the "stretch" method) is closed
+ * with a pitch-preserving time-stretch, which always yields a WAV file.
+ * @param {string} text - Script
+ * @param {Object} settings - From getVoiceSettings()
+ * @param {boolean} withTimestamps - Keep alignment for captions
+ * @param {number} targetSeconds - Duration to fit
+ * @returns {Promise<Object>} { data, ext, alignment, duration, loudness, speed, stretch, characters }
+ */
+async function generateToFit(text, settings, withTimestamps, targetSeconds) {
+  const tolerance = Math.max(parseFloat(fitTolerance.value) || 0, 0.01);
+  const format = settings.outputFormat;
+  const decodeRate = isPcmFormat(format) ? getWavOptions(format).targetSampleRate : formatSampleRate(format);
+
+  let speed = settings.speed || 1;
+  let file;
+  let characters = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    showStatus(attempt === 1
+      ? 'Generating speech...'
+      : `Regenerating at ${speed.toFixed(2)}× to fit ${targetSeconds.toFixed(2)} s...`, 'info', true);
+
+    const result = await synthesize(text, { ...settings, speed }, withTimestamps);
+    characters += text.length;
+    // Fit the processed clip, so trimmed silence doesn't count towards the length
+    file = await postProcess(prepareAudioFile(result.audio, format), settings, result.alignment);
+
+    if (Math.abs(file.duration - targetSeconds) <= tolerance) {
+      return { ...file, speed, stretch: 1, characters };
+    }
+    if (fitMethod.value !== 'rate' || attempt >= MAX_FIT_ATTEMPTS) break;
+
+    const nextSpeed = Math.min(Math.max(speed * file.duration / targetSeconds, SPEED_MIN), SPEED_MAX);
+    if (Math.abs(nextSpeed - speed) < 0.005) break;  // already at the rate limit
+    speed = nextSpeed;
+  }
+
+  showStatus('Time-stretching to fit...', 'info', true);
+  const decoded = await decodeAudio(file.data, decodeRate);
+  const factor = targetSeconds / decoded.duration;
+  const channels = audioBufferChannels(decoded).map(ch => timeStretch(ch, decoded.sampleRate, factor));
+  const bitDepth = isPcmFormat(format) ? getWavOptions(format).bitDepth : 16;
+
+  return {
+    data: encodeWavFromFloat(channels, decoded.sampleRate, bitDepth),
+    ext: 'wav',
+    alignment: file.alignment ? scaleAlignment(file.alignment, factor) : null,
+    duration: channels[0].length / decoded.sampleRate,
+    loudness: measureAudio(channels, decoded.sampleRate),
+    speed,
+    stretch: factor,
+    characters,
+  };
+}
+
+function describeFit(fitted, targetSeconds) {
+  return `${fitted.duration.toFixed(2)} s (target ${targetSeconds.toFixed(2)} s), ` +
+    `speed ${fitted.speed.toFixed(2)}×, stretch ${(fitted.stretch * 100).toFixed(1)}%`;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LONG SCRIPTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate a multi-part script with request stitching, then join the parts.
+ * Finished parts stay in longScriptJob, so retrying after a failure only
+ * regenerates the parts that are still missing.
+ * @param {string[]} parts - Script parts from splitScript()
+ * @param {Object} settings - Voice/model/format options for generateSpeechPart()
+ * @param {boolean} [withTimestamps=false] - Also collect character alignment for captions
+ * @param {boolean} [interactive=true] - Report parts in the status bar and keep finished
+ *   parts for Retry; batch jobs run several scripts at once, so they do neither
+ * @returns {Promise<Object>} { audio, alignment } — joined audio (same format as
+ *   each part) and the merged alignment, or null without timestamps
+ */
+async function generateLongScript(parts, settings, withTimestamps = false, interactive = true) {
+  const key = JSON.stringify({ parts, settings, withTimestamps });
+  let job = { key, audio: [], requestIds: [], alignments: [] };
+  if (interactive) {
+    if (!longScriptJob || longScriptJob.key !== key) longScriptJob = job;
+    job = longScriptJob;
+  }
+
+  for (let i = 0; i < parts.length; i++) {
+    if (job.audio[i]) continue;
+
+    if (interactive) {
+      const done = job.audio.filter(Boolean).length;
+      showStatus(`Generating part ${i + 1} of ${parts.length} (${done} done)...`, 'info', true);
+    }
+
+    try {
+      const options = {
+        ...settings,
+        text: parts[i],
+        previousText: parts[i - 1],
+        nextText: parts[i + 1],
+        previousRequestIds: job.requestIds.slice(0, i).filter(Boolean),
+        signal: generationController?.signal,
+      };
+      const result = withTimestamps
+        ? await elevenLabsAPI.generateSpeechWithTimestamps(options)
+        : await elevenLabsAPI.generateSpeechPart(options);
+      job.audio[i] = result.audio;
+      job.requestIds[i] = result.requestId;
+      job.alignments[i] = result.alignment || null;
+    } catch (err) {
+      if (!err.cancelled) err.message = `Part ${i + 1} of ${parts.length} failed — ${err.message}`;
+      throw err;
+    }
+  }
+
+  if (interactive) longScriptJob = null;
+
+  let alignment = null;
+  if (withTimestamps) {
+    let offset = 0;
+    alignment = mergeAlignments(job.audio.map((audio, i) => {
+      const part = { alignment: job.alignments[i], offset };
+      offset += estimateAudioDuration(audio, settings.outputFormat);
+      return part;
+    }));
+  }
+
+  return { audio: concatArrayBuffers(job.audio), alignment };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CAPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write SRT and WebVTT captions next to the audio file.
+ * @param {Object} alignment - Character alignment (times relative to the audio start)
+ * @param {string} audioFileName - Audio file name; captions share its base name
+ * @returns {Promise<string>} Path of the .srt file
+ */
+async function saveCaptionFiles(alignment, audioFileName) {
+  const cues = buildCaptionCues(alignmentToWords(alignment));
+  const baseName = audioFileName.replace(/\.[^.]+$/, '');
+  const encoder = new TextEncoder();
+
+  const srtPath = await writeOutputFile(encoder.encode(formatSrt(cues)).buffer, `${baseName}.srt`, 'srt');
+  await writeOutputFile(encoder.encode(formatVtt(cues)).buffer, `${baseName}.vtt`, 'vtt');
+  return srtPath;
+}
+
+/**
+ * Add saved captions to the active sequence.
+ * @param {string} captionPath - .srt file
+ * @param {number} startSeconds - Where the matching voiceover starts on the timeline
+ * @returns {Promise<Object>} { ok, message }
+ */
+async function placeCaptions(captionPath, startSeconds) {
+  try {
+    const parsed = JSON.parse(await callExtendScript('importCaptions', captionPath, startSeconds));
+    return parsed.error ? { ok: false, message: parsed.error } : { ok: true };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCRIPT MODES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SCRIPT_PLACEHOLDERS = {
+  single: 'Type or paste your voiceover script here...',
+  dialogue: 'HOST: Welcome back to the show.\nGUEST: Thanks for having me!',
+  markers: '',
+  batch: '',
+  convert: '',
+};
+
+/**
+ * Switch between script modes. Elements with a data-modes attribute
+ * are only shown in the modes it lists.
+ * @param {string} mode - 'single' | 'dialogue' | 'markers' | 'batch' | 'convert'
+ */
+function setScriptMode(mode) {
+  scriptMode = mode in SCRIPT_PLACEHOLDERS ? mode : 'single';
+  saveToStorage(STORAGE_KEYS.SCRIPT_MODE, scriptMode);
+
+  scriptModeTabs.querySelectorAll('[data-mode]').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.mode === scriptMode);
+  });
+  document.querySelectorAll('[data-modes]').forEach(el => {
+    el.style.display = el.dataset.modes.split(' ').includes(scriptMode) ? '' : 'none';
+  });
+  scriptText.placeholder = SCRIPT_PLACEHOLDERS[scriptMode];
+
+  if (scriptMode === 'dialogue') renderSpeakers();
+  if (scriptMode === 'markers') loadMarkers();
+  if (scriptMode === 'convert') loadSelectedClip();
+  updateCharCount();
+  updateGenerateButton();
+}
+
+scriptModeTabs.addEventListener('click', (e) => {
+  const tab = e.target.closest('[data-mode]');
+  if (tab && tab.dataset.mode !== scriptMode) setScriptMode(tab.dataset.mode);
+});
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DIALOGUE MODE
+// ═══════════════════════════════════════════════════════════════════════════
+
+dialogueGap.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.DIALOGUE_GAP, dialogueGap.value);
+});
+
+/**
+ * Voice and settings for a speaker. New speakers start from the
+ * single-voice selection; voices no longer in the account fall back to it too.
+ * @param {string} speaker - Normalized speaker name
+ * @returns {Object} { voiceId, stability, clarity } (stability/clarity in %)
+ */
+function getSpeakerSettings(speaker) {
+  const saved = dialogueSpeakers[speaker] || {};
+  const voiceExists = voicesCache.some(v => v.voice_id === saved.voiceId);
+  return {
+    voiceId: voiceExists ? saved.voiceId : voiceSelect.value,
+    stability: saved.stability != null ? saved.stability : parseInt(stabilitySlider.value, 10),
+    clarity: saved.clarity != null ? saved.clarity : parseInt(claritySlider.value, 10),
+  };
+}
+
+function updateSpeakerSettings(speaker, changes) {
+  dialogueSpeakers[speaker] = { ...getSpeakerSettings(speaker), ...changes };
+  saveToStorage(STORAGE_KEYS.DIALOGUE_SPEAKERS, JSON.stringify(dialogueSpeakers));
+}
+
+function voiceOptionsHtml(selectedId) {
+  return voicesCache
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(v => `<option value="${v.voice_id}"${v.voice_id === selectedId ? ' selected' : ''}>${escapeHtml(v.name)}</option>`)
+    .join('');
+}
+
+// Rebuild the speaker table only when the set of speakers (or voices) changes
+function renderSpeakers() {
+  const { speakers } = parseDialogue(scriptText.value);
+  const key = `${speakers.join('|')}#${voicesCache.length}`;
+  if (key === renderedSpeakersKey) return;
+  renderedSpeakersKey = key;
+
+  if (speakers.length === 0) {
+    speakerList.innerHTML = '<div class="history-empty">Tag lines like "HOST: …" to add speakers</div>';
+    return;
+  }
+
+  speakerList.innerHTML = speakers.map((speaker, i) => {
+    const cfg = getSpeakerSettings(speaker);
+    return `
+      <div class="speaker-row" data-speaker="${escapeHtml(speaker)}">
+        <div class="speaker-head">
+          <span class="speaker-name" title="Track offset +${i}">${escapeHtml(speaker)}</span>
+          <select class="speaker-voice">${voiceOptionsHtml(cfg.voiceId)}</select>
+        </div>
+        <div class="settings-row">
+          <div class="setting">
+            <label>Stability <span class="setting-value">${cfg.stability}%</span></label>
+            <input type="range" class="speaker-stability" min="0" max="100" value="${cfg.stability}" />
+          </div>
+          <div class="setting">
+            <label>Clarity <span class="setting-value">${cfg.clarity}%</span></label>
+            <input type="range" class="speaker-clarity" min="0" max="100" value="${cfg.clarity}" />
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  speakerList.querySelectorAll('.speaker-row').forEach(row => {
+    const speaker = row.dataset.speaker;
+    row.querySelector('.speaker-voice').addEventListener('change', (e) => {
+      updateSpeakerSettings(speaker, { voiceId: e.target.value });
+      updateGenerateButton();
+    });
+    ['stability', 'clarity'].forEach(name => {
+      const slider = row.querySelector(`.speaker-${name}`);
+      slider.addEventListener('input', () => {
+        slider.previousElementSibling.querySelector('.setting-value').textContent = `${slider.value}%`;
+        updateSpeakerSettings(speaker, { [name]: parseInt(slider.value, 10) });
+      });
+    });
+  });
+}
+
+function isDialogueReady() {
+  const { lines, speakers } = parseDialogue(scriptText.value);
+  return lines.length > 0 && speakers.every(s => getSpeakerSettings(s).voiceId);
+}
+
+/**
+ * Generate every dialogue line with its speaker's voice, then lay the
+ * clips out in script order — one audio track per speaker, starting at
+ * the selected track.
+ */
+async function generateDialogue() {
+  const { lines, speakers } = parseDialogue(scriptText.value);
+  if (lines.length === 0) {
+    throw new Error('No speaker lines found — tag lines like "HOST: ..."');
+  }
+
+  const format = outputFormat.value;
+  const timestamp = fileTimestamp();
+  const baseTrack = parseInt(audioTrack.value, 10) || 0;
+  const gap = Math.max(parseFloat(dialogueGap.value) || 0, 0);
+  const withCaptions = captionsToggle.checked;
+  const clips = [];
+  const captionParts = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const cfg = getSpeakerSettings(line.speaker);
+    const voice = voicesCache.find(v => v.voice_id === cfg.voiceId);
+
+    showStatus(`Generating line ${i + 1} of ${lines.length} (${line.speaker})...`, 'info', true);
+    const lineSettings = {
+      voiceId: cfg.voiceId,
+      modelId: modelSelect.value,
+      stability: cfg.stability / 100,
+      similarityBoost: cfg.clarity / 100,
+      outputFormat: format,
+      ...getGenerationOptions(),
+      postProcessing: getPostProcessing(),
+    };
+    // Lines over the model's limit are split into parts and stitched, as in single-voice mode;
+    // the status bar keeps showing the line rather than its parts
+    const result = await synthesize(line.text, lineSettings, withCaptions, false);
+
+    const { data, ext, alignment, duration, loudness } =
+      await postProcess(prepareAudioFile(result.audio, format), lineSettings, result.alignment);
+    if (withCaptions) captionParts.push({ alignment, duration });
+    const lineNumber = String(i + 1).padStart(3, '0');
+    const fileName = `DLG_${lineNumber}_${sanitizeFilename(line.speaker)}_${timestamp}.${ext}`;
+    const savePath = await writeOutputFile(data, fileName, ext);
+
+    clips.push({ path: savePath, track: baseTrack + speakers.indexOf(line.speaker) });
+    const voiceLabel = `${line.speaker} · ${voice ? voice.name : 'voice'}`;
+    addToLibrary({
+      text: line.text,
+      voiceName: voiceLabel,
+      settings: lineSettings,
+      filePath: savePath,
+      duration: fileDuration(data, ext, format),
+      characters: line.text.length,
+      loudness,
+    });
+    recordTake(line.text, voiceLabel, savePath);
+    lastAudioBuffer = data;
+    lastAudioPath = savePath;
+  }
+
+  let placement = null;
+  if (autoInsert.checked) {
+    showStatus('Placing dialogue on the timeline...', 'info', true);
+    placement = JSON.parse(await callExtendScript('insertDialogue', clips, gap));
+    if (placement.error) {
+      throw new Error(`Lines saved, but timeline placement failed: ${placement.error}`);
+    }
+  } else {
+    showStatus('Importing dialogue into Voiceovers bin...', 'info', true);
+    for (const clip of clips) {
+      await callExtendScript('importFile', clip.path);
+    }
+  }
+
+  // One caption file for the whole conversation, timed to where each line landed
+  let captionNote = '';
+  if (withCaptions) {
+    let cursor = 0;
+    const parts = captionParts.map((part, i) => {
+      const offset = placement ? placement.starts[i] - placement.starts[0] : cursor;
+      cursor += part.duration + gap;
+      return { alignment: part.alignment, offset };
+    });
+    const captionPath = await saveCaptionFiles(mergeAlignments(parts), `DLG_${timestamp}.srt`);
+    if (placement) {
+      const captions = await placeCaptions(captionPath, placement.starts[0]);
+      captionNote = captions.ok ? ' with captions' : ` (captions not placed: ${captions.message})`;
+    } else {
+      captionNote = ' with captions';
+    }
+  }
+
+  if (placement) {
+    const note = placement.tracksClamped ? ' (not enough tracks — some speakers share one)' : '';
+    const warn = placement.tracksClamped || captionNote.startsWith(' (');
+    showStatus(`✓ ${placement.count} lines placed on ${speakers.length} track(s)${captionNote}${note}`, warn ? 'warning' : 'success');
+  } else {
+    showStatus(`✓ ${clips.length} lines saved & imported to Voiceovers bin${captionNote}`, 'success');
+  }
+
+  showGeneratedAudio();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKER MODE
+// ═══════════════════════════════════════════════════════════════════════════
+
+refreshMarkersBtn.addEventListener('click', () => loadMarkers());
+
+/**
+ * Read the active sequence's markers and show them for review.
+ * Markers with narration copy are selected unless already voiced.
+ */
+async function loadMarkers() {
+  markerList.innerHTML = '<div class="history-empty">Reading sequence markers...</div>';
+  try {
+    sequenceMarkers = JSON.parse(await callExtendScript('getSequenceMarkers'));
+  } catch {
+    sequenceMarkers = [];
+  }
+
+  const selection = {};
+  sequenceMarkers.forEach(m => {
+    const previous = markerSelection[m.id];
+    selection[m.id] = markerText(m) !== '' && !isMarkerLinked(m.id) && previous !== false;
+  });
+  markerSelection = selection;
+
+  renderMarkers();
+  updateGenerateButton();
+}
+
+// Narration copy lives in the marker comments
+function markerText(marker) {
+  return (marker.comments || '').trim();
+}
+
+/**
+ * A marker is linked once a voiceover was generated for it and the file still exists.
+ * @param {string} id - Marker id
+ * @returns {boolean}
+ */
+function isMarkerLinked(id) {
+  const linkedPath = markerLinks[id];
+  if (!linkedPath) return false;
+  return fs ? fs.existsSync(linkedPath) : true;
+}
+
+function linkMarker(id, filePath) {
+  markerLinks[id] = filePath;
+  saveToStorage(STORAGE_KEYS.MARKER_LINKS, JSON.stringify(markerLinks));
+}
+
+function getSelectedMarkers() {
+  return sequenceMarkers.filter(m => markerSelection[m.id] && markerText(m) !== '');
+}
+
+function renderMarkers() {
+  if (sequenceMarkers.length === 0) {
+    markerList.innerHTML = '<div class="history-empty">No markers in the active sequence</div>';
+    markerSummary.textContent = '';
+    return;
+  }
+
+  markerList.innerHTML = sequenceMarkers.map(m => {
+    const text = markerText(m);
+    const linked = isMarkerLinked(m.id);
+    const status = linked ? '✓ voiced' : text ? `${text.length.toLocaleString()} ch` : 'no copy';
+    return `
+      <label class="marker-row${linked ? ' linked' : ''}${text ? '' : ' empty'}" title="${escapeHtml(text || 'Add narration copy to the marker comments')}">
+        <input type="checkbox" data-id="${escapeHtml(m.id)}"${markerSelection[m.id] ? ' checked' : ''}${text ? '' : ' disabled'} />
+        <span class="marker-time">${formatSeconds(m.start)}</span>
+        <span class="marker-text">${escapeHtml(m.name ? `${m.name} — ${text}` : text || '—')}</span>
+        <span class="marker-meta">${status}</span>
+      </label>
+    `;
+  }).join('');
+
+  markerList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+    box.addEventListener('change', () => {
+      markerSelection[box.dataset.id] = box.checked;
+      updateMarkerSummary();
+      updateGenerateButton();
+    });
+  });
+
+  updateMarkerSummary();
+}
+
+function updateMarkerSummary() {
+  const selected = getSelectedMarkers();
+  const chars = selected.reduce((sum, m) => sum + markerText(m).length, 0);
+  const skipped = sequenceMarkers.filter(m => isMarkerLinked(m.id) && !markerSelection[m.id]).length;
+  const skipNote = skipped > 0 ? ` · ${skipped} already voiced` : '';
+  markerSummary.textContent =
+    `${selected.length} of ${sequenceMarkers.length} markers · ${chars.toLocaleString()} characters${skipNote}`;
+}
+
+/**
+ * Generate one voiceover per selected marker and place each clip
+ * at its marker's start time on the selected track.
+ */
+async function generateFromMarkers() {
+  const markers = getSelectedMarkers();
+  const settings = getVoiceSettings();
+  const trackIndex = parseInt(audioTrack.value, 10);
+  const withCaptions = captionsToggle.checked;
+  const timestamp = fileTimestamp();
+  const voiceName = (voiceSelect.options[voiceSelect.selectedIndex]?.text || 'voice').split(' — ')[0].trim();
+  let placed = 0;
+  const failures = [];
+
+  for (let i = 0; i < markers.length; i++) {
+    const marker = markers[i];
+    const label = marker.name || formatSeconds(marker.start);
+    showStatus(`Generating ${i + 1} of ${markers.length} (${label})...`, 'info', true);
+
+    const text = markerText(marker);
+    const result = await synthesize(text, settings, withCaptions);
+    const { data, ext, alignment, loudness } =
+      await postProcess(prepareAudioFile(result.audio, settings.outputFormat), settings, result.alignment);
+    const fileName = `MK_${sanitizeFilename(marker.name || String(i + 1))}_${timestamp}_${i + 1}.${ext}`;
+    const savePath = await writeOutputFile(data, fileName, ext);
+    const captionPath = alignment ? await saveCaptionFiles(alignment, fileName) : null;
+
+    linkMarker(marker.id, savePath);
+    markerSelection[marker.id] = false;
+    addToLibrary({
+      text,
+      voiceName,
+      settings,
+      filePath: savePath,
+      duration: fileDuration(data, ext, settings.outputFormat),
+      characters: text.length,
+      loudness,
+    });
+    recordTake(text, voiceName, savePath);
+    lastAudioBuffer = data;
+    lastAudioPath = savePath;
+
+    // Always overwrite so later markers keep lining up with the picture
+    if (autoInsert.checked) {
+      const parsed = JSON.parse(await callExtendScript('importAndInsert', savePath, trackIndex, { at: marker.start, mode: 'overwrite' }));
+      if (parsed.error) {
+        failures.push(`${label}: ${parsed.error}`);
+      } else {
+        placed++;
+        if (captionPath) await placeCaptions(captionPath, parsed.start);
+      }
+    } else {
+      await callExtendScript('importFile', savePath);
+    }
+  }
+
+  renderMarkers();
+
+  if (failures.length > 0) {
+    showStatus(`⚠ ${placed} of ${markers.length} placed — ${failures[0]}`, 'warning');
+  } else if (autoInsert.checked) {
+    showStatus(`✓ ${placed} voiceovers placed at their markers`, 'success');
+  } else {
+    showStatus(`✓ ${markers.length} voiceovers saved & imported to Voiceovers bin`, 'success');
+  }
+  showGeneratedAudio();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCH
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BATCH_MAX_CONCURRENCY = 5;
+
+// Failed rows get one automatic retry before they're marked failed
+const BATCH_RETRIES = 1;
+
+const BATCH_STATUS_LABELS = {
+  pending: 'queued',
+  running: 'generating…',
+  done: '✓ done',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+loadManifestBtn.addEventListener('click', () => {
+  if (batchQueue && batchQueue.state !== 'idle') {
+    showStatus('Cancel the running batch before loading another file', 'warning');
+    return;
+  }
+  manifestFile.click();
+});
+
+manifestFile.addEventListener('change', async () => {
+  const file = manifestFile.files[0];
+  manifestFile.value = '';
+  if (!file) return;
+
+  try {
+    const { rows, errors } = parseManifest(await file.text(), file.name);
+    loadBatch(file.name.replace(/\.(csv|json)$/i, ''), rows);
+    if (errors.length > 0) {
+      showStatus(`⚠ Loaded ${rows.length} rows — ${errors.length} problem(s): ${errors[0]}`, 'warning');
+    } else {
+      showStatus(`✓ Loaded ${rows.length} rows from ${file.name}`, 'success');
+    }
+  } catch (err) {
+    showStatus(`Could not read ${file.name}: ${err.message}`, 'error');
+  }
+});
+
+batchConcurrency.addEventListener('change', () => {
+  const value = getBatchConcurrency();
+  batchConcurrency.value = value;
+  saveToStorage(STORAGE_KEYS.BATCH_CONCURRENCY, String(value));
+  if (batchQueue) batchQueue.concurrency = value;
+});
+
+batchSubBin.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.BATCH_SUB_BIN, batchSubBin.checked ? '1' : '0');
+});
+
+batchPauseBtn.addEventListener('click', () => {
+  if (!batchQueue) return;
+  if (batchQueue.state === 'paused') {
+    batchQueue.resume();
+  } else {
+    batchQueue.pause();
+    showStatus('Pausing — lines already generating will finish', 'info', true);
+  }
+});
+
+batchCancelBtn.addEventListener('click', () => {
+  if (batchQueue) batchQueue.cancel();
+});
+
+function getBatchConcurrency() {
+  const value = parseInt(batchConcurrency.value, 10) || 1;
+  return Math.min(Math.max(value, 1), BATCH_MAX_CONCURRENCY);
+}
+
+/**
+ * Replace the batch with a new manifest's rows.
+ * @param {string} name - Manifest name, used for file names and the sub-bin
+ * @param {Array} rows - From parseManifest()
+ */
+function loadBatch(name, rows) {
+  batchManifest = { name, rows };
+  batchQueue = new JobQueue(processBatchRow, {
+    concurrency: getBatchConcurrency(),
+    retries: BATCH_RETRIES,
+    onUpdate: renderBatch,
+  });
+  batchQueue.add(rows);
+  updateGenerateButton();
+}
+
+/**
+ * Run every row that hasn't finished yet — failed and cancelled rows are retried.
+ */
+async function generateBatch() {
+  const { failed, cancelled } = batchQueue.counts();
+  const result = await (failed + cancelled > 0 ? batchQueue.retryFailed() : batchQueue.start());
+  const warnings = batchQueue.jobs.filter(j => j.status === 'done' && j.result.warning).length;
+
+  if (result.failed > 0) {
+    const firstError = describeApiError(batchQueue.jobs.find(j => j.status === 'failed').error);
+    showStatus(`⚠ ${result.done} done, ${result.failed} failed — ${firstError}`, 'warning', false,
+      { label: 'Retry failed', onClick: () => generateBtn.click() });
+  } else if (result.cancelled > 0) {
+    showStatus(`Batch cancelled — ${result.done} done, ${result.cancelled} not generated`, 'warning');
+  } else if (warnings > 0) {
+    showStatus(`⚠ ${result.done} lines generated, ${warnings} not placed on the timeline`, 'warning');
+  } else {
+    showStatus(`✓ ${result.done} lines generated from ${batchManifest.name}`, 'success');
+  }
+}
+
+/**
+ * Queue worker: generate, save and import one manifest row.
+ * File names come from the manifest name and row id, so re-running a row
+ * replaces its file instead of adding another.
+ * @param {Object} row - From parseManifest()
+ * @returns {Promise<Object>} { path, warning }
+ */
+async function processBatchRow(row) {
+  const settings = batchRowSettings(row);
+  const result = await synthesize(row.text, settings, captionsToggle.checked, false);
+  const { data, ext, alignment, loudness } =
+    await postProcess(prepareAudioFile(result.audio, settings.outputFormat), settings, result.alignment);
+
+  const fileName = `${sanitizeFilename(batchManifest.name)}_${sanitizeFilename(row.id)}.${ext}`;
+  const savePath = await writeOutputFile(data, fileName, ext);
+  const captionPath = alignment ? await saveCaptionFiles(alignment, fileName) : null;
+
+  const voice = voicesCache.find(v => v.voice_id === settings.voiceId);
+  const voiceName = voice ? voice.name : settings.voiceId;
+  addToLibrary({
+    text: row.text,
+    voiceName,
+    settings,
+    filePath: savePath,
+    duration: fileDuration(data, ext, settings.outputFormat),
+    characters: row.text.length,
+    loudness,
+  });
+  recordTake(row.text, voiceName, savePath);
+
+  // Rows with a time are overwritten there so they keep lining up with the picture
+  const bin = batchSubBin.checked ? batchManifest.name : '';
+  let warning = null;
+  if (autoInsert.checked && row.time !== null) {
+    const trackIndex = row.track !== null ? row.track : parseInt(audioTrack.value, 10);
+    const parsed = JSON.parse(await callExtendScript('importAndInsert', savePath, trackIndex, { at: row.time, mode: 'overwrite', bin }));
+    if (parsed.error) {
+      warning = `not placed: ${parsed.error}`;
+    } else if (captionPath) {
+      await placeCaptions(captionPath, parsed.start);
+    }
+  } else {
+    const parsed = JSON.parse(await callExtendScript('importFile', savePath, bin));
+    if (parsed.error) warning = `not imported: ${parsed.error}`;
+  }
+
+  return { path: savePath, warning };
+}
+
+/**
+ * Settings for a row: the panel's settings, overridden by the row's preset, then its voice.
+ * @param {Object} row
+ * @returns {Object} Options for generateSpeech() (everything except text)
+ */
+function batchRowSettings(row) {
+  let values = readControlValues();
+
+  if (row.preset) {
+    const wanted = row.preset.toLowerCase();
+    const preset = presets.concat(sharedPresets).find(p => p.name.toLowerCase() === wanted);
+    if (!preset) throw new Error(`Unknown preset "${row.preset}"`);
+    values = { ...values, ...preset.values };
+  }
+
+  if (row.voice) {
+    const wanted = row.voice.toLowerCase();
+    const voice = voicesCache.find(v => v.voice_id === row.voice) ||
+      voicesCache.find(v => v.name.toLowerCase() === wanted);
+    if (!voice) throw new Error(`Unknown voice "${row.voice}"`);
+    values.voiceId = voice.voice_id;
+  }
+
+  if (!values.voiceId) throw new Error('No voice — add a voice column or select a voice');
+  return settingsFromValues(values);
+}
+
+function renderBatch() {
+  if (!batchQueue) return;
+
+  batchList.innerHTML = batchQueue.jobs.map(job => {
+    const row = job.item;
+    const warning = job.status === 'done' && job.result.warning;
+    let status = BATCH_STATUS_LABELS[job.status];
+    if (job.status === 'pending' && job.attempts > 0) status = 'retrying';
+    if (warning) status = '⚠ saved';
+
+    const details = [row.text];
+    if (job.error) details.push(`Error: ${job.error.message}`);
+    if (warning) details.push(warning);
+    if (job.result) details.push(job.result.path);
+
+    return `
+      <div class="marker-row batch-row ${warning ? 'warning' : job.status}" title="${escapeHtml(details.join('\n'))}">
+        <span class="marker-time">${escapeHtml(row.id)}</span>
+        <span class="marker-text">${escapeHtml(row.text)}</span>
+        <span class="marker-meta">${status}</span>
+      </div>
+    `;
+  }).join('') || '<div class="history-empty">No rows with text in this file</div>';
+
+  const counts = batchQueue.counts();
+  const chars = batchManifest.rows.reduce((sum, row) => sum + row.text.length, 0);
+  const progress = [`${counts.done} of ${batchQueue.jobs.length} done`];
+  if (counts.running > 0) progress.push(`${counts.running} generating`);
+  if (counts.failed > 0) progress.push(`${counts.failed} failed`);
+  batchSummary.textContent = `${batchManifest.name} · ${progress.join(' · ')} · ${chars.toLocaleString()} characters`;
+
+  const busy = batchQueue.state !== 'idle';
+  batchPauseBtn.disabled = !busy || batchQueue.state === 'cancelled';
+  batchPauseBtn.textContent = batchQueue.state === 'paused' ? 'Resume' : 'Pause';
+  batchCancelBtn.disabled = !busy || batchQueue.state === 'cancelled';
+
+  if (batchQueue.state === 'running') {
+    showStatus(`Batch: ${progress.join(' · ')}...`, 'info', true);
+  } else if (batchQueue.state === 'paused') {
+    showStatus(`Batch paused — ${progress.join(' · ')}`, 'info', counts.running > 0);
+  }
+
+  updateGenerateButton();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RE-VOICE MODE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The clip's recording is uploaded as mono WAV at this rate
+const CONVERT_SAMPLE_RATE = 44100;
+
+// Largest media file read to cut a clip from — long camera files would exhaust the panel's memory
+const MAX_CLIP_MEDIA_BYTES = 200 * 1024 * 1024;
+
+refreshClipBtn.addEventListener('click', () => loadSelectedClip());
+
+stsModel.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.STS_MODEL, stsModel.value);
+});
+
+removeNoise.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.REMOVE_NOISE, removeNoise.checked ? '1' : '0');
+});
+
+/**
+ * Read the audio clip selected on the timeline and show it.
+ * @returns {Promise<Object>} From getSelectedAudioClip(): { success, name, path, inPoint,
+ *   outPoint, start, end, track, trackCount } or { error }
+ */
+async function loadSelectedClip() {
+  let clip;
+  try {
+    clip = JSON.parse(await callExtendScript('getSelectedAudioClip'));
+  } catch {
+    clip = { error: 'Could not read the timeline selection' };
+  }
+  selectedClip = clip.success ? clip : null;
+
+  if (selectedClip) {
+    clipInfo.innerHTML = `
+      <div class="marker-row clip-row" title="${escapeHtml(clip.path)}">
+        <span class="marker-time">A${clip.track + 1} · ${formatSeconds(clip.start)}</span>
+        <span class="marker-text">${escapeHtml(clip.name)}</span>
+        <span class="marker-meta">${(clip.outPoint - clip.inPoint).toFixed(1)}s</span>
+      </div>
+    `;
+  } else {
+    clipInfo.innerHTML = `<div class="history-empty">${escapeHtml(clip.error)}</div>`;
+  }
+  return clip;
+}
+
+/**
+ * Decode the part of a clip's media file the clip uses, mixed down to mono.
+ * @param {Object} clip - From loadSelectedClip()
+ * @returns {Promise<Blob>} WAV file
+ */
+async function readClipAudio(clip) {
+  const decoded = await decodeMediaFile(clip.path);
+  const start = Math.max(Math.floor(clip.inPoint * CONVERT_SAMPLE_RATE), 0);
+  const end = Math.min(Math.ceil(clip.outPoint * CONVERT_SAMPLE_RATE), decoded.length);
+  if (end <= start) throw new Error('The selected clip has no audio in its media file');
+  return monoWavBlob(decoded, start, end);
+}
+
+/**
+ * Decode the audio of a media file (audio or video) at CONVERT_SAMPLE_RATE.
+ * @param {string} filePath
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeMediaFile(filePath) {
+  const media = await readLocalFile(filePath, MAX_CLIP_MEDIA_BYTES);
+  try {
+    return await decodeAudio(media, CONVERT_SAMPLE_RATE);
+  } catch {
+    throw new Error(`Can't decode the audio in ${filePath.split(/[\\/]/).pop()} — use a WAV, MP3 or AAC recording`);
+  }
+}
+
+/**
+ * Mix a range of decoded audio down to mono.
+ * @param {AudioBuffer} decoded - From decodeMediaFile()
+ * @param {number} start - First sample
+ * @param {number} end - Sample after the last one
+ * @returns {Blob} WAV file
+ */
+function monoWavBlob(decoded, start, end) {
+  const mono = new Float32Array(end - start);
+  const channels = audioBufferChannels(decoded);
+  channels.forEach(data => {
+    for (let i = start; i < end; i++) mono[i - start] += data[i] / channels.length;
+  });
+  return new Blob([encodeWavFromFloat([mono], CONVERT_SAMPLE_RATE)], { type: 'audio/wav' });
+}
+
+/**
+ * Re-voice the selected clip's recording with the selected voice, and place
+ * the result on the track below it at the same start time.
+ */
+async function convertSelectedClip() {
+  showStatus('Reading the selected clip...', 'info', true);
+  const clip = await loadSelectedClip();
+  if (clip.error) throw new Error(clip.error);
+
+  const source = await readClipAudio(clip);
+  const voiceName = (voiceSelect.options[voiceSelect.selectedIndex]?.text || 'voice').split(' — ')[0].trim();
+  const settings = {
+    ...getVoiceSettings(),
+    modelId: stsModel.value,
+    removeBackgroundNoise: removeNoise.checked,
+    sourceClip: { path: clip.path, inPoint: clip.inPoint, outPoint: clip.outPoint },
+  };
+  // Trimming or padding would move the new take against the original
+  settings.postProcessing = { ...settings.postProcessing, trimSilence: false, padHead: 0, padTail: 0 };
+
+  showStatus(`Re-voicing ${clip.name} as ${voiceName}...`, 'info', true);
+  const audio = await elevenLabsAPI.convertSpeech({ ...settings, audio: source, signal: generationController?.signal });
+  const { data, ext, duration, loudness } = await postProcess(prepareAudioFile(audio, settings.outputFormat), settings);
+
+  showStatus('Saving audio file...', 'info', true);
+  const clipName = clip.name.replace(/\.[^.]+$/, '');
+  const fileName = `RV_${sanitizeFilename(clipName)}_${sanitizeFilename(voiceName)}_${fileTimestamp()}.${ext}`;
+  const savePath = await writeOutputFile(data, fileName, ext);
+  lastAudioBuffer = data;
+  lastAudioPath = savePath;
+
+  const text = `Re-voiced: ${clipName}`;
+  addToLibrary({ text, voiceName, settings, filePath: savePath, duration, characters: 0, loudness });
+  recordTake(text, voiceName, savePath);
+
+  const target = clip.track + 1;
+  if (!autoInsert.checked) {
+    await callExtendScript('importFile', savePath);
+    showStatus('✓ Re-voiced clip saved & imported to Voiceovers bin', 'success');
+  } else if (target >= clip.trackCount) {
+    await callExtendScript('importFile', savePath);
+    showStatus(`⚠ Imported to Voiceovers bin — add an audio track below A${clip.track + 1} to place it under the original`, 'warning');
+  } else {
+    showStatus('Importing into timeline...', 'info', true);
+    const parsed = JSON.parse(await callExtendScript('importAndInsert', savePath, target, { at: clip.start, mode: 'overwrite' }));
+    if (parsed.error) {
+      showStatus(`⚠ Saved, but not placed on the timeline: ${parsed.error}`, 'warning');
+    } else {
+      showStatus(`✓ Re-voiced clip placed on A${target + 1} under the original`, 'success');
+    }
+  }
+  showGeneratedAudio();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOUND EFFECTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GENERATE_LABELS = {
+  voiceover: { icon: '🎙', text: 'Generate Voiceover' },
+  sfx: { icon: '🔊', text: 'Generate Sound Effect' },
+};
+
+// Library entries for sound effects list this in place of a voice
+const SFX_VOICE_NAME = 'Sound effect';
+const SFX_MODEL = 'eleven_text_to_sound_v2';
+
+/**
+ * Switch between the voiceover and sound effect tabs. Elements with a
+ * data-panel attribute are only shown in their tab.
+ * @param {string} panel - 'voiceover' | 'sfx'
+ */
+function setPanel(panel) {
+  activePanel = panel in GENERATE_LABELS ? panel : 'voiceover';
+  saveToStorage(STORAGE_KEYS.PANEL, activePanel);
+
+  panelTabs.querySelectorAll('[data-tab]').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === activePanel);
+  });
+  document.querySelectorAll('[data-panel]').forEach(el => {
+    el.style.display = el.dataset.panel === activePanel ? '' : 'none';
+  });
+
+  if (!isGenerating) updateGenerateLabel();
+  updateGenerateButton();
+}
+
+function updateGenerateLabel() {
+  const label = GENERATE_LABELS[activePanel];
+  generateBtnIcon.textContent = label.icon;
+  generateBtnText.textContent = label.text;
+}
+
+panelTabs.addEventListener('click', (e) => {
+  const tab = e.target.closest('[data-tab]');
+  if (tab && tab.dataset.tab !== activePanel) setPanel(tab.dataset.tab);
+});
+
+sfxPrompt.addEventListener('input', updateGenerateButton);
+
+sfxAutoDuration.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.SFX_AUTO_DURATION, sfxAutoDuration.checked ? '1' : '0');
+  updateSfxControls();
+});
+
+sfxDuration.addEventListener('input', () => {
+  saveToStorage(STORAGE_KEYS.SFX_DURATION, sfxDuration.value);
+  updateSfxControls();
+});
+
+sfxInfluence.addEventListener('input', () => {
+  saveToStorage(STORAGE_KEYS.SFX_INFLUENCE, sfxInfluence.value);
+  updateSfxControls();
+});
+
+sfxTrack.addEventListener('change', () => {
+  saveToStorage(STORAGE_KEYS.SFX_TRACK, sfxTrack.value);
+});
+
+function updateSfxControls() {
+  sfxDurationRow.style.display = sfxAutoDuration.checked ? 'none' : '';
+  sfxDurationValue.textContent = `${(sfxDuration.value / 10).toFixed(1)}s`;
+  sfxInfluenceValue.textContent = `${sfxInfluence.value}%`;
+}
+
+/**
+ * Sound effect options from the controls.
+ * @returns {Object} { text, durationSeconds (null lets the model choose), promptInfluence }
+ */
+function getSoundEffectOptions() {
+  return {
+    text: sfxPrompt.value.trim(),
+    durationSeconds: sfxAutoDuration.checked ? null : sfxDuration.value / 10,
+    promptInfluence: sfxInfluence.value / 100,
+  };
+}
+
+/**
+ * Generate a sound effect from the prompt, save it to SFX/ and import it
+ * into the SFX bin (placing it on the sound effect track when auto-insert is on).
+ */
+async function generateSfx() {
+  const soundEffect = getSoundEffectOptions();
+  const settings = { modelId: SFX_MODEL, outputFormat: outputFormat.value, soundEffect };
+
+  showStatus('Generating sound effect...', 'info', true);
+  const audio = await elevenLabsAPI.generateSoundEffect({
+    ...soundEffect,
+    outputFormat: settings.outputFormat,
+    signal: generationController?.signal,
+  });
+  // Saved as generated (only measured) — trimming and normalizing would cut into tails and transients
+  const asGenerated = { trimSilence: false, padHead: 0, padTail: 0, loudnessTarget: null };
+  const file = prepareAudioFile(audio, settings.outputFormat);
+  const { data, ext, duration, loudness } = await postProcess(file, { ...settings, postProcessing: asGenerated });
+
+  showStatus('Saving audio file...', 'info', true);
+  const fileName = `SFX_${sanitizeFilename(soundEffect.text)}_${fileTimestamp()}.${ext}`;
+  const savePath = await writeOutputFile(data, fileName, ext, SFX_FOLDER);
+  lastAudioBuffer = data;
+  lastAudioPath = savePath;
+
+  addToLibrary({
+    text: soundEffect.text,
+    voiceName: SFX_VOICE_NAME,
+    settings,
+    filePath: savePath,
+    duration,
+    characters: 0,
+    loudness,
+  });
+
+  if (autoInsert.checked && sfxTrackConflict()) {
+    await callExtendScript('importFile', savePath, null, SFX_FOLDER);
+    showStatus(`⚠ Imported to SFX bin, not placed: ${SFX_TRACK_CONFLICT}`, 'warning');
+  } else if (autoInsert.checked) {
+    showStatus('Importing into timeline...', 'info', true);
+    const { trackIndex, options } = getInsertTarget(SFX_FOLDER);
+    const parsed = JSON.parse(await callExtendScript('importAndInsert', savePath, trackIndex, options));
+    if (parsed.error) {
+      showStatus(`⚠ Imported to SFX bin (timeline insert failed: ${parsed.error})`, 'warning');
+    } else {
+      showStatus(`✓ Sound effect ${insertedWhere()}`, 'success');
+    }
+  } else {
+    await callExtendScript('importFile', savePath, null, SFX_FOLDER);
+    showStatus('✓ Sound effect saved & imported to SFX bin', 'success');
+  }
+  showGeneratedAudio(SFX_FOLDER);
+}
+
+/**
+ * Load a sound effect library entry into the controls and generate it again.
+ * @param {Object} entry - Library entry with settings.soundEffect
+ */
+function regenerateSoundEffect(entry) {
+  const { soundEffect, outputFormat: format } = entry.settings;
+  setPanel('sfx');
+  sfxPrompt.value = soundEffect.text;
+  setControl(sfxAutoDuration, soundEffect.durationSeconds == null);
+  if (soundEffect.durationSeconds != null) setControl(sfxDuration, Math.round(soundEffect.durationSeconds * 10));
+  setControl(sfxInfluence, Math.round(soundEffect.promptInfluence * 100));
+  if (format) setControl(outputFormat, format);
+
+  updateGenerateButton();
+  generateBtn.click();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TAKES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Lines shown in the takes list, most recently generated first
+const MAX_TAKE_LINES = 10;
+
+/**
+ * Point project metadata at the open project's Voiceovers/ folder,
+ * or a per-user folder while the project is unsaved.
+ */
+async function syncProjectStores() {
+  let directory = null;
+  if (path && os) {
+    try {
+      const projectPath = await callExtendScript('getProjectPath');
+      if (projectPath) directory = path.join(projectPath, VOICEOVER_FOLDER);
+    } catch { /* no host — use the per-user folder */ }
+    if (!directory) directory = path.join(os.homedir(), '.elevenlabs-voiceover');
+  }
+
+  if (directory !== takesStore.directory) {
+    takesStore.setDirectory(directory);
+    libraryStore.setDirectory(directory);
+    loadProjectData();
+  }
+}
+
+// Read the takes and library for the current project folder
+function loadProjectData() {
+  takes = takesStore.load({ version: 1, lines: {} });
+  library = libraryStore.loadLines();
+  if (library.length === 0) importOldHistory();
+  renderTakes();
+  renderLibrary();
+}
+
+/**
+ * Takes are grouped by their script line; whitespace differences don't start a new line.
+ * @param {string} text
+ * @returns {string} Short stable key
+ */
+function takeKey(text) {
+  const normalized = text.trim().replace(/\s+/g, ' ');
+  let hash = 5381;
+  for (let i = 0; i < normalized.length; i++) {
+    hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+  }
+  return `${(hash >>> 0).toString(36)}_${normalized.length}`;
+}
+
+/**
+ * Record a generated file as the next take of its line and make it the selected take.
+ * @param {string} text - Script line that was spoken
+ * @param {string} voiceName - Voice label shown next to the take
+ * @param {string} filePath - Saved audio file
+ */
+function recordTake(text, voiceName, filePath) {
+  const key = takeKey(text);
+  const line = takes.lines[key] || { text: text.trim(), takes: [], selected: null };
+  const number = line.takes.reduce((max, t) => Math.max(max, t.number), 0) + 1;
+  const take = {
+    id: `${key}-${number}`,
+    number,
+    voice: voiceName,
+    path: filePath,
+    createdAt: new Date().toISOString(),
+  };
+
+  line.takes.push(take);
+  line.selected = take.id;
+  line.updatedAt = take.createdAt;
+  takes.lines[key] = line;
+
+  saveTakes();
+  renderTakes();
+}
+
+function saveTakes() {
+  try {
+    takesStore.save(takes);
+  } catch (err) {
+    console.warn('Could not save takes:', err.message);
+  }
+}
+
+/**
+ * Make a take the line's selected take and swap it in wherever another
+ * take of the line is already on the timeline.
+ * @param {string} key - Line key
+ * @param {string} takeId
+ */
+async function selectTake(key, takeId) {
+  const line = takes.lines[key];
+  const take = line && line.takes.find(t => t.id === takeId);
+  if (!take) return;
+
+  if (fs && !fs.existsSync(take.path)) {
+    showStatus('Audio file for this take no longer exists', 'warning');
+    return;
+  }
+
+  line.selected = take.id;
+  saveTakes();
+  renderTakes();
+
+  const otherPaths = line.takes.filter(t => t.id !== take.id).map(t => t.path);
+  try {
+    showStatus(`Swapping in take ${take.number}...`, 'info', true);
+    const parsed = JSON.parse(await callExtendScript('swapTake', otherPaths, take.path));
+    if (parsed.error) {
+      showStatus(`Take ${take.number} selected — timeline not updated: ${parsed.error}`, 'warning');
+    } else if (parsed.replaced === 0) {
+      showStatus(`✓ Take ${take.number} selected (no other take of this line is on the timeline)`, 'success');
+    } else {
+      showStatus(`✓ Take ${take.number} swapped in at ${parsed.starts.map(formatSeconds).join(', ')}`, 'success');
+    }
+  } catch (err) {
+    showStatus(`Take ${take.number} selected — timeline not updated: ${err.message}`, 'warning');
+  }
+}
+
+/**
+ * Play a take in the panel; clicking the playing take again stops it.
+ * @param {string} filePath
+ */
+function toggleTakePlayback(filePath) {
+  const wasPlaying = takePlayer && takePlayer.dataset.path === filePath && !takePlayer.paused;
+  stopTakePlayback();
+  if (wasPlaying) return;
+
+  takePlayer = new Audio(fileUrl(filePath));
+  takePlayer.dataset.path = filePath;
+  takePlayer.addEventListener('ended', stopTakePlayback);
+  takePlayer.play().catch(err => {
+    showStatus(`Playback error: ${err.message}`, 'error');
+    stopTakePlayback();
+  });
+  updateTakePlayButtons();
+}
+
+function stopTakePlayback() {
+  if (takePlayer) {
+    takePlayer.pause();
+    takePlayer = null;
+  }
+  updateTakePlayButtons();
+}
+
+function updateTakePlayButtons() {
+  const playingPath = takePlayer ? takePlayer.dataset.path : null;
+  takeList.querySelectorAll('.take-play').forEach(btn => {
+    const playing = btn.dataset.path === playingPath;
+    btn.classList.toggle('playing', playing);
+    btn.textContent = playing ? '■' : '▶';
+  });
+}
+
+function renderTakes() {
+  const lines = Object.entries(takes.lines)
+    .filter(([, line]) => line.takes.length > 0)
+    .sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+    .slice(0, MAX_TAKE_LINES);
+
+  if (lines.length === 0) {
+    takeList.innerHTML = '<div class="history-empty">Regenerate a line to compare takes</div>';
+    return;
+  }
+
+  takeList.innerHTML = lines.map(([key, line]) => `
+    <div class="take-line" data-key="${escapeHtml(key)}">
+      <div class="take-text" title="${escapeHtml(line.text)}">${escapeHtml(line.text)}</div>
+      <div class="take-chips">
+        ${line.takes.map(take => {
+          const selected = take.id === line.selected;
+          const missing = fs ? !fs.existsSync(take.path) : false;
+          return `
+            <span class="take-chip${selected ? ' selected' : ''}${missing ? ' missing' : ''}" title="${escapeHtml(`${take.voice} — ${new Date(take.createdAt).toLocaleString()}\n${take.path}`)}">
+              <button class="take-play" data-path="${escapeHtml(take.path)}"${missing ? ' disabled' : ''}>▶</button>
+              <button class="take-use" data-id="${escapeHtml(take.id)}"${selected || missing ? ' disabled' : ''} title="Use this take">Take ${take.number}${selected ? ' ✓' : ''}</button>
+            </span>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `).join('');
+
+  takeList.querySelectorAll('.take-play').forEach(btn => {
+    btn.addEventListener('click', () => toggleTakePlayback(btn.dataset.path));
+  });
+  takeList.querySelectorAll('.take-use').forEach(btn => {
+    const key = btn.closest('.take-line').dataset.key;
+    btn.addEventListener('click', () => selectTake(key, btn.dataset.id));
+  });
+
+  updateTakePlayButtons();
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE OUTPUT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Turn API audio into file contents — PCM is wrapped in a WAV container.
+ * @param {ArrayBuffer} audioBuffer - Audio as returned by the API
+ * @param {string} format - Output format it was requested in
+ * @returns {Object} { data: ArrayBuffer, ext: 'mp3'|'wav' }
+ */
+function prepareAudioFile(audioBuffer, format) {
+  if (isPcmFormat(format)) {
+    return { data: encodeWav(audioBuffer, getWavOptions(format)), ext: 'wav' };
+  }
+  return { data: audioBuffer, ext: 'mp3' };
+}
+
+/**
+ * @param {string} format - Output format
+ * @returns {string} Extension of the file prepareAudioFile() produces for it
+ */
+function audioFileExtension(format) {
+  return isPcmFormat(format) ? 'wav' : 'mp3';
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+/**
+ * WAV encoder options for the selected format and deliverable settings.
+ * @param {string} format - PCM output format (e.g. "pcm_44100")
+ * @returns {Object} Options for encodeWav()
+ */
+function getWavOptions(format) {
+  const sampleRate = pcmSampleRate(format);
+  const targetRate = parseInt(wavSampleRate.value, 10);
+  return {
+    sampleRate,
+    bitDepth: parseInt(wavBitDepth.value, 10) || 16,
+    targetSampleRate: targetRate > 0 ? targetRate : sampleRate,
+  };
+}
+
+/**
+ * Save a generated file (audio or captions) to a folder next to the project.
+ * Uses Node.js fs when available (falling back to a temp folder),
+ * otherwise hands the data to ExtendScript as base64.
+ * @param {ArrayBuffer} audioData - Complete file contents
+ * @param {string} fileName - File name including extension
+ * @param {string} ext - File extension without dot
+ * @param {string} [folder] - VOICEOVER_FOLDER or SFX_FOLDER
+ * @returns {Promise<string>} Absolute path of the saved file
+ */
+async function writeOutputFile(audioData, fileName, ext, folder = VOICEOVER_FOLDER) {
+  let savePath = null;
+
+  if (fs && path && os) {
+    // Node.js available — save directly
+    try {
+      savePath = path.join(await outputDirectory(folder), fileName);
+      fs.writeFileSync(savePath, Buffer.from(audioData));
+    } catch (err) {
+      console.warn('Could not save to project directory:', err.message);
+      savePath = null;
+    }
+
+    // e.g. a read-only or offline share
+    if (!savePath) {
+      try {
+        savePath = path.join(tempOutputDirectory(folder), fileName);
+        fs.writeFileSync(savePath, Buffer.from(audioData));
+      } catch (err) {
+        throw new Error(`Could not save audio file: ${err.message}`);
+      }
+    }
+  } else {
+    // No Node.js — save via ExtendScript host
+    showStatus('Saving via Premiere Pro...', 'info', true);
+    const base64 = arrayBufferToBase64(audioData);
+    const result = await callExtendScript('saveAudioFile', base64, fileName, ext, pcmSampleRate(outputFormat.value), folder);
+    const parsed = JSON.parse(result);
+    if (parsed.error) {
+      throw new Error(`Could not save audio: ${parsed.error}`);
+    }
+    savePath = parsed.path;
+  }
+
+  return savePath;
+}
+
+/**
+ * Folder new audio is saved in: Voiceovers/ (or SFX/) next to the project,
+ * or a temp folder when the project hasn't been saved yet. Needs Node.js.
+ * @param {string} [folder] - VOICEOVER_FOLDER or SFX_FOLDER
+ * @returns {Promise<string>}
+ */
+async function outputDirectory(folder = VOICEOVER_FOLDER) {
+  try {
+    const projectPath = await callExtendScript('getProjectPath');
+    if (projectPath && projectPath.length > 0) {
+      const outFolder = path.join(projectPath, folder);
+      if (!fs.existsSync(outFolder)) {
+        fs.mkdirSync(outFolder, { recursive: true });
+      }
+      return outFolder;
+    }
+  } catch (err) {
+    console.warn('Could not use project directory:', err.message);
+  }
+
+  return tempOutputDirectory(folder);
+}
+
+/**
+ * Temp folder audio is saved in when the project folder can't be used. Needs Node.js.
+ * @param {string} [folder] - VOICEOVER_FOLDER or SFX_FOLDER
+ * @returns {string}
+ */
+function tempOutputDirectory(folder = VOICEOVER_FOLDER) {
+  const tempDir = path.join(os.tmpdir(), `ElevenLabs_${folder}`);
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  return tempDir;
+}
+
+/**
+ * Open an output file for audio that is still streaming in.
+ * Chunks go to "<name>.part", which becomes the real file once the stream
+ * completes — an interrupted stream never leaves a truncated file behind.
+ * @param {string} fileName - Final file name
+ * @returns {Promise<Object|null>} { write(chunk), finish(fileData) → path, discard() },
+ *   or null without Node.js
+ */
+async function openStreamFile(fileName) {
+  if (!fs || !path || !os) return null;
+
+  let finalPath, partPath, fd;
+  try {
+    finalPath = path.join(await outputDirectory(), fileName);
+    partPath = `${finalPath}.part`;
+    fd = fs.openSync(partPath, 'w');
+  } catch (err) {
+    console.warn('Could not open stream file:', err.message);
+    return null;
+  }
+
+  let open = true;
+  const close = () => {
+    if (open) fs.closeSync(fd);
+    open = false;
+  };
+
+  return {
+    write(chunk) {
+      fs.writeSync(fd, chunk);
+    },
+    // fileData replaces what was streamed (e.g. PCM wrapped as WAV); null keeps it as is
+    finish(fileData) {
+      close();
+      if (fileData) {
+        fs.writeFileSync(finalPath, Buffer.from(fileData));
+        fs.unlinkSync(partPath);
+      } else {
+        fs.renameSync(partPath, finalPath);
+      }
+      return finalPath;
+    },
+    discard() {
+      try {
+        close();
+        fs.unlinkSync(partPath);
+      } catch (err) {
+        console.warn('Could not remove partial file:', err.message);
+      }
+    },
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TIMELINE INSERTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const INSERT_MODE_RESULTS = {
+  insert: 'inserted at playhead',
+  overwrite: 'overwritten at playhead',
+  replace: 'replaced the selected clip',
+};
+
+// Sound effects keep off the voiceover track; shown instead of placing them there
+const SFX_TRACK_CONFLICT = 'Sound effects would go on the voiceover track — add an audio track or choose another one for sound effects';
+
+/**
+ * Options for the host's importAndInsert(), using the selected insertion mode.
+ * @param {Object} [extra] - Additional options (e.g. { at })
+ * @returns {Object}
+ */
+function getInsertOptions(extra = {}) {
+  return { mode: insertMode.value, ...extra };
+}
+
+/**
+ * Track and importAndInsert() options for a saved file: sound effects go on
+ * their own track and into the SFX bin.
+ * @param {string} folder - Folder the file was saved to (VOICEOVER_FOLDER or SFX_FOLDER)
+ * @param {Object} [extra] - Additional options (e.g. trim points)
+ * @returns {Object} { trackIndex, options }
+ */
+function getInsertTarget(folder, extra = {}) {
+  if (folder === SFX_FOLDER) {
+    if (sfxTrackConflict()) throw new Error(SFX_TRACK_CONFLICT);
+    return { trackIndex: parseInt(sfxTrack.value, 10), options: getInsertOptions({ ...extra, rootBin: SFX_FOLDER }) };
+  }
+  return { trackIndex: parseInt(audioTrack.value, 10), options: getInsertOptions(extra) };
+}
+
+/**
+ * @returns {boolean} True if sound effects would land on the voiceover track
+ *   (e.g. a sequence with a single audio track)
+ */
+function sfxTrackConflict() {
+  return sfxTrack.value === audioTrack.value;
+}
+
+function insertedWhere() {
+  return INSERT_MODE_RESULTS[insertMode.value] || INSERT_MODE_RESULTS.insert;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUDIO PREVIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Decodes and plays MP3/WAV in the panel — no external player
+const audioPlayer = new AudioPlayer(waveform, { onUpdate: updatePlayerControls });
+
+playBtn.addEventListener('click', () => audioPlayer.toggle());
+loopBtn.addEventListener('click', () => audioPlayer.setLoop(!audioPlayer.loop));
+trimInBtn.addEventListener('click', () => audioPlayer.setTrimIn(audioPlayer.currentTime));
+trimOutBtn.addEventListener('click', () => audioPlayer.setTrimOut(audioPlayer.currentTime));
+clearTrimBtn.addEventListener('click', () => audioPlayer.clearTrim());
+
+// The canvas is sized from its layout, so redraw when the panel is resized
+window.addEventListener('resize', () => audioPlayer.draw());
+
+/**
+ * Load audio into the player and show it.
+ * @param {ArrayBuffer} data - MP3 or WAV file contents
+ * @param {string} title - Shown above the waveform
+ * @param {string|null} filePath - Saved file that Insert places (null for voice previews)
+ * @param {string} [folder] - Folder the file was saved to, which picks its track and bin
+ * @returns {Promise<boolean>} False if the audio couldn't be decoded
+ */
+async function showInPlayer(data, title, filePath, folder = VOICEOVER_FOLDER) {
+  playerItem = { title, path: filePath, folder };
+  playerTitle.textContent = title;
+  audioPreview.classList.add('visible');
+  try {
+    await audioPlayer.load(data);
+    return true;
+  } catch (err) {
+    console.warn('Could not decode audio for the player:', err.message);
+    return false;
+  } finally {
+    updatePlayerControls();
+  }
+}
+
+/**
+ * Show the latest generation in the player.
+ * @param {string} [folder] - Folder it was saved to
+ */
+function showGeneratedAudio(folder = VOICEOVER_FOLDER) {
+  if (!lastAudioBuffer || !lastAudioPath) return;
+  showInPlayer(lastAudioBuffer, lastAudioPath.split(/[\\/]/).pop(), lastAudioPath, folder);
+}
+
+function updatePlayerControls() {
+  const loaded = !!audioPlayer.buffer;
+  playBtn.disabled = !loaded;
+  playBtnText.textContent = audioPlayer.playing ? 'Pause' : 'Play';
+  loopBtn.disabled = !loaded;
+  loopBtn.classList.toggle('active', audioPlayer.loop);
+  trimInBtn.disabled = !loaded;
+  trimOutBtn.disabled = !loaded;
+  clearTrimBtn.disabled = !audioPlayer.trimmed;
+
+  insertBtn.disabled = !(playerItem && playerItem.path);
+  insertBtnText.textContent = audioPlayer.trimmed
+    ? `Insert ${formatPlayerTime(audioPlayer.trimOut - audioPlayer.trimIn)} to Timeline`
+    : 'Insert to Timeline';
+
+  playerTime.textContent = `${formatPlayerTime(audioPlayer.currentTime)} / ${formatPlayerTime(audioPlayer.duration)}`;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} M:SS.t
+ */
+function formatPlayerTime(seconds) {
+  return `${formatSeconds(seconds)}.${Math.floor((seconds % 1) * 10)}`;
+}
+
+insertBtn.addEventListener('click', async () => {
+  if (!playerItem || !playerItem.path) return;
+  try {
+    showStatus('Importing & inserting into timeline...', 'info', true);
+    // Always send the range, so an earlier trim of the same file doesn't stick
+    const trim = audioPlayer.buffer ? { trimIn: audioPlayer.trimIn, trimOut: audioPlayer.trimOut } : {};
+    const { trackIndex, options } = getInsertTarget(playerItem.folder, trim);
+    const result = await callExtendScript('importAndInsert', playerItem.path, trackIndex, options);
+    const parsed = JSON.parse(result);
+    if (parsed.error) {
+      showStatus(`Insert failed: ${parsed.error}`, 'error');
+    } else {
+      showStatus(`✓ ${playerItem.folder === SFX_FOLDER ? 'Sound effect' : 'Voiceover'} ${insertedWhere()}`, 'success');
+      setTimeout(() => {
+        if (statusBar.classList.contains('success')) hideStatus();
+      }, 3000);
+    }
+  } catch (err) {
+    showStatus(`Insert failed: ${err.message}`, 'error');
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATUS BAR
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {string} message
+ * @param {string} [type='info'] - info | success | warning | error
+ * @param {boolean} [showSpinner=false]
+ * @param {Object} [action] - Optional button: { label, onClick }
+ */
+function showStatus(message, type = 'info', showSpinner = false, action = null) {
+  statusBar.className = `status-bar visible ${type}`;
+  statusText.textContent = message;
+  statusSpinner.style.display = showSpinner ? 'block' : 'none';
+  statusDismiss.style.display = showSpinner ? 'none' : 'block';
+
+  statusAction.style.display = action ? 'block' : 'none';
+  statusAction.textContent = action ? action.label : '';
+  statusAction.onclick = action ? action.onClick : null;
+}
+
+function hideStatus() {
+  statusBar.className = 'status-bar';
+}
+
+statusDismiss.addEventListener('click', hideStatus);
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GENERATION LIBRARY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Matching entries rendered at once — refine the search to see older ones
+const LIBRARY_PAGE_SIZE = 50;
+
+librarySearch.addEventListener('input', () => renderLibrary());
+libraryVoice.addEventListener('change', () => renderLibrary());
+libraryDate.addEventListener('change', () => renderLibrary());
+
+/**
+ * Record a generation in the project's library.
+ * @param {Object} details
+ * @param {string} details.text - Full text that was spoken
+ * @param {string} details.voiceName - Voice label shown in the list
+ * @param {Object} details.settings - Options it was generated with (from getVoiceSettings())
+ * @param {string} details.filePath - Saved audio file
+ * @param {number} details.duration - Length in seconds
+ * @param {number} details.characters - Characters billed, including regenerations
+ * @param {Object} [details.loudness] - { integrated, truePeak } from postProcess()
+ */
+function addToLibrary({ text, voiceName, settings, filePath, duration, characters, loudness = null }) {
+  const entry = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: new Date().toISOString(),
+    text,
+    voiceId: settings.voiceId,
+    voiceName,
+    modelId: settings.modelId,
+    settings: { ...settings },
+    outputFormat: settings.outputFormat,
+    path: filePath,
+    duration,
+    characters,
+    loudness,
+  };
+
+  library.push(entry);
+  try {
+    libraryStore.appendLine(entry);
+  } catch (err) {
+    console.warn('Could not save library entry:', err.message);
+  }
+
+  renderLibrary();
+}
+
+/**
+ * Move the short history kept before the generation library into the
+ * (empty) library, then drop it. Old entries only have a text preview,
+ * voice name and path, so they can be re-inserted but not regenerated.
+ */
+function importOldHistory() {
+  const saved = loadFromStorage(STORAGE_KEYS.HISTORY);
+  if (!saved) return;
+
+  let history;
+  try {
+    history = JSON.parse(saved);
+  } catch {
+    history = [];
+  }
+  if (!Array.isArray(history)) history = [];
+
+  // Stored newest first, with only a time of day — the file's date is the best guess
+  const entries = history.slice().reverse().map((item, i) => {
+    let createdAt = new Date().toISOString();
+    try {
+      if (fs && item.path && fs.existsSync(item.path)) createdAt = fs.statSync(item.path).mtime.toISOString();
+    } catch { /* keep now */ }
+    return {
+      id: `${Date.now().toString(36)}h${i}`,
+      createdAt,
+      text: item.text || '',
+      voiceId: null,
+      voiceName: item.voice || '',
+      modelId: null,
+      settings: {},
+      outputFormat: null,
+      path: item.path || null,
+      duration: null,
+      characters: null,
+      loudness: null,
+      imported: true,
+    };
+  });
+
+  try {
+    if (entries.length > 0) libraryStore.saveLines(entries);
+  } catch (err) {
+    // Keep the old history so the import is tried again next time
+    console.warn('Could not import history into the library:', err.message);
+    return;
+  }
+  library = entries;
+  removeFromStorage(STORAGE_KEYS.HISTORY);
+}
+
+/**
+ * Length of a saved audio file.
+ * @param {ArrayBuffer} fileData - File contents as written
+ * @param {string} ext - 'wav' | 'mp3'
+ * @param {string} format - Output format it was generated in
+ * @returns {number} Seconds
+ */
+function fileDuration(fileData, ext, format) {
+  return ext === 'wav' ? wavDuration(fileData) : estimateAudioDuration(fileData, format);
+}
+
+/**
+ * Library entries matching the search box and filters, newest first.
+ * @returns {Array}
+ */
+function filterLibrary() {
+  const query = librarySearch.value.trim().toLowerCase();
+  const voiceId = libraryVoice.value;
+  const days = parseInt(libraryDate.value, 10);
+
+  let since = 0;
+  if (days === 1) {
+    since = new Date().setHours(0, 0, 0, 0);
+  } else if (days > 1) {
+    since = Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+
+  return library.filter(entry =>
+    (!query || entry.text.toLowerCase().includes(query) || (entry.voiceName || '').toLowerCase().includes(query)) &&
+    (!voiceId || entry.voiceId === voiceId) &&
+    (!since || new Date(entry.createdAt).getTime() >= since)
+  ).reverse();
+}
+
+// Voice filter lists every voice used in the library
+function updateLibraryVoiceFilter() {
+  const voices = new Map();
+  library.forEach(entry => {
+    if (entry.voiceId && !voices.has(entry.voiceId)) voices.set(entry.voiceId, entry.voiceName || entry.voiceId);
+  });
+
+  const current = libraryVoice.value;
+  libraryVoice.innerHTML = '<option value="">All voices</option>' +
+    Array.from(voices, ([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+  libraryVoice.value = voices.has(current) ? current : '';
+}
+
+function renderLibrary() {
+  updateLibraryVoiceFilter();
+
+  if (library.length === 0) {
+    historyList.innerHTML = '<div class="history-empty">No generations yet</div>';
+    librarySummary.textContent = '';
+    return;
+  }
+
+  const matches = filterLibrary();
+  if (matches.length === 0) {
+    historyList.innerHTML = '<div class="history-empty">No generations match</div>';
+  } else {
+    historyList.innerHTML = matches.slice(0, LIBRARY_PAGE_SIZE).map(entry => {
+      const created = new Date(entry.createdAt);
+      const when = `${created.toLocaleDateString()} ${created.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+      const seed = entry.settings.seed != null ? ` · seed ${entry.settings.seed}` : '';
+      const lufs = entry.loudness && entry.loudness.integrated != null ? entry.loudness.integrated : null;
+      const loudness = lufs != null ? `\n${lufs.toFixed(1)} LUFS, true peak ${(entry.loudness.truePeak || 0).toFixed(1)} dBTP` : '';
+      const details = [entry.voiceName, entry.modelId, entry.outputFormat].filter(Boolean).join(' · ');
+      const characters = entry.characters != null ? `${entry.characters.toLocaleString()} characters` : '';
+      const tooltip = `${entry.text}\n\n${details}${seed}\n${characters}${loudness}\n${entry.path || ''}`;
+      return `
+        <div class="history-item" data-id="${escapeHtml(entry.id)}" title="${escapeHtml(tooltip)}">
+          <span class="text-preview">${entry.settings.soundEffect ? '🔊' : '🎙'} ${escapeHtml(entry.text)}</span>
+          <span class="history-meta">${escapeHtml(entry.voiceName)} · ${formatSeconds(entry.duration || 0)}${lufs != null ? ` · ${lufs.toFixed(1)} LUFS` : ''}<br/>${when}</span>
+          <span class="history-actions">
+            <button class="btn-icon-small" data-action="regenerate" title="Regenerate with the same settings">↻</button>
+            <button class="btn-icon-small" data-action="delete" title="Delete entry and audio file">✕</button>
+          </span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  const shown = Math.min(matches.length, LIBRARY_PAGE_SIZE);
+  librarySummary.textContent = shown < matches.length
+    ? `Showing ${shown} of ${matches.length} matches · ${library.length} total`
+    : `${matches.length} of ${library.length} generations`;
+
+  historyList.querySelectorAll('.history-item').forEach(el => {
+    const entry = library.find(e => e.id === el.dataset.id);
+
+    // Click to re-insert
+    el.addEventListener('click', () => reinsertLibraryEntry(entry));
+
+    el.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (btn.dataset.action === 'regenerate') {
+          regenerateLibraryEntry(entry);
+        } else {
+          confirmDeleteLibraryEntry(entry);
+        }
+      });
+    });
+  });
+}
+
+async function reinsertLibraryEntry(entry) {
+  if (!entry?.path) return;
+
+  // Check file still exists
+  if (fs && !fs.existsSync(entry.path)) {
+    showStatus('Audio file no longer exists', 'warning');
+    return;
+  }
+
+  try {
+    showStatus('Inserting into timeline...', 'info', true);
+    const { trackIndex, options } = getInsertTarget(entry.settings.soundEffect ? SFX_FOLDER : VOICEOVER_FOLDER);
+    const result = await callExtendScript('importAndInsert', entry.path, trackIndex, options);
+    const parsed = JSON.parse(result);
+    if (parsed.error) {
+      showStatus(`Error: ${parsed.error}`, 'error');
+    } else {
+      showStatus('✓ Inserted into timeline', 'success');
+      setTimeout(() => {
+        if (statusBar.classList.contains('success')) hideStatus();
+      }, 3000);
+    }
+  } catch (err) {
+    showStatus(`Error: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Load an entry's text and settings into the single-voice controls (or the
+ * sound effect controls) and generate it again.
+ * @param {Object} entry - Library entry
+ */
+function regenerateLibraryEntry(entry) {
+  if (isGenerating) return;
+
+  const { settings } = entry;
+  if (entry.imported) {
+    showStatus('This entry came from the old history, which didn\'t keep its settings — it can only be re-inserted', 'warning');
+    return;
+  }
+  if (settings.soundEffect) {
+    regenerateSoundEffect(entry);
+    return;
+  }
+  if (settings.sourceClip) {
+    showStatus('Re-voiced clips can\'t be regenerated from the library — select the clip and re-voice it again', 'warning');
+    return;
+  }
+  if (!voicesCache.some(v => v.voice_id === settings.voiceId)) {
+    showStatus(`Voice "${entry.voiceName}" is no longer in your account`, 'warning');
+    return;
+  }
+
+  setPanel('voiceover');
+  setScriptMode('single');
+  scriptText.value = entry.text;
+
+  const percent = value => (value == null ? null : Math.round(value * 100));
+  const values = [
+    [voiceSelect, settings.voiceId],
+    [modelSelect, settings.modelId],
+    [outputFormat, settings.outputFormat],
+    [stabilitySlider, percent(settings.stability)],
+    [claritySlider, percent(settings.similarityBoost)],
+    [styleSlider, percent(settings.style)],
+    [speedSlider, percent(settings.speed)],
+    [speakerBoost, settings.useSpeakerBoost],
+    [languageCode, settings.languageCode || ''],
+    [textNormalization, settings.applyTextNormalization || 'auto'],
+    [dictionaryMode, settings.aliasDictionaries ? 'local' : 'server'],
+    [attachedDictionaries, (settings.pronunciationDictionaryLocators || settings.aliasDictionaries || [])
+      .map(locator => locator.pronunciation_dictionary_id).join(',')],
+  ];
+  values.forEach(([control, value]) => {
+    if (value != null) setControl(control, value);
+  });
+  if (settings.postProcessing) applyPostProcessing(settings.postProcessing);
+  // The recorded seed makes the new take match the original; it isn't put in
+  // the seed field, where it would be saved and reused by later generations
+  libraryRegenerateSeed = settings.seed != null ? settings.seed : null;
+
+  updateCharCount();
+  updateGenerateButton();
+  generateBtn.click();
+}
+
+// Deleting removes the audio file too, so ask first via the status bar
+function confirmDeleteLibraryEntry(entry) {
+  const name = entry.path ? entry.path.split(/[\\/]/).pop() : 'this entry';
+  showStatus(`Delete ${name}?`, 'warning', false, {
+    label: 'Delete',
+    onClick: () => deleteLibraryEntry(entry),
+  });
+}
+
+function deleteLibraryEntry(entry) {
+  try {
+    if (fs && entry.path && fs.existsSync(entry.path)) {
+      fs.unlinkSync(entry.path);
+    }
+  } catch (err) {
+    showStatus(`Could not delete file: ${err.message}`, 'error');
+    return;
+  }
+
+  library = library.filter(e => e.id !== entry.id);
+  try {
+    libraryStore.saveLines(library);
+  } catch (err) {
+    console.warn('Could not save library:', err.message);
+  }
+
+  renderLibrary();
+  renderTakes();
+  showStatus(fs ? '✓ Deleted entry and audio file' : '✓ Deleted entry (remove the audio file manually)', 'success');
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUDIO TRACKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function loadAudioTracks() {
+  try {
+    const result = await callExtendScript('getAudioTracks');
+    const tracks = JSON.parse(result);
+    if (tracks.length > 0) {
+      const options = tracks.map(t =>
+        `<option value="${t.index}">${escapeHtml(t.name)}</option>`
+      ).join('');
+      [audioTrack, sfxTrack].forEach(select => {
+        // Keep the restored (or default) track when the sequence has it
+        const current = select.value;
+        select.innerHTML = options;
+        if (Array.from(select.options).some(o => o.value === current)) {
+          select.value = current;
+        } else if (select === sfxTrack) {
+          // Otherwise the last track that isn't the voiceover one, not the first
+          const others = Array.from(select.options).filter(o => o.value !== audioTrack.value);
+          select.value = (others.length > 0 ? others[others.length - 1] : select.options[select.options.length - 1]).value;
+        }
+      });
+    }
+  } catch {
+    // Use defaults
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STORAGE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function saveToStorage(key, value) {
+  try { localStorage.setItem(key, value); } catch { /* ignore */ }
+}
+
+function loadFromStorage(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+function removeFromStorage(key) {
   try { localStorage.removeItem(key); } catch { /* ignore */ }
 }
 
@@ -807,10 +4855,75 @@ function arrayBufferToBase64(buffer) {
   return btoa(binary);
 }
 
+/**
+ * Join binary chunks end to end (MP3 frames and raw PCM both concatenate cleanly).
+ * @param {ArrayBuffer[]} buffers
+ * @returns {ArrayBuffer}
+ */
+function concatArrayBuffers(buffers) {
+  const total = buffers.reduce((sum, b) => sum + b.byteLength, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const b of buffers) {
+    out.set(new Uint8Array(b), offset);
+    offset += b.byteLength;
+  }
+  return out.buffer;
+}
+
+/**
+ * Read a file from disk (through Node.js when available).
+ * @param {string} filePath
+ * @param {number} [maxBytes] - Refuse files larger than this
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readLocalFile(filePath, maxBytes = Infinity) {
+  const tooLarge = size => new Error(
+    `${filePath.split(/[\\/]/).pop()} is too large to read (${Math.round(size / 1048576)} MB, limit ${Math.round(maxBytes / 1048576)} MB)`
+  );
+  if (fs) {
+    const size = fs.statSync(filePath).size;
+    if (size > maxBytes) throw tooLarge(size);
+    const buffer = fs.readFileSync(filePath);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  }
+  const response = await fetch(fileUrl(filePath));
+  if (!response.ok) throw new Error(`Could not read ${filePath}`);
+  const size = parseInt(response.headers.get('content-length'), 10);
+  if (size > maxBytes) throw tooLarge(size);
+  return await response.arrayBuffer();
+}
+
+/**
+ * file:// URL for a local path — Windows paths ("C:\Audio\a b.mp3") need
+ * their slashes turned around and a leading slash, and every path needs escaping.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function fileUrl(filePath) {
+  if (url) return url.pathToFileURL(filePath).href;
+  const slashed = filePath.replace(/\\/g, '/');
+  const escaped = slashed.split('/').map(part => (/^[A-Za-z]:$/.test(part) ? part : encodeURIComponent(part)));
+  return `file://${slashed.startsWith('/') ? '' : '/'}${escaped.join('/')}`;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} H:MM:SS or M:SS
+ */
+function formatSeconds(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // Also safe inside double-quoted attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 
@@ -837,31 +4950,170 @@ function restoreSettings() {
     clarityValue.textContent = `${savedClarity}%`;
   }
 
+  const savedStyle = loadFromStorage(STORAGE_KEYS.STYLE);
+  if (savedStyle !== null) {
+    styleSlider.value = savedStyle;
+    styleValue.textContent = `${savedStyle}%`;
+  }
+
+  const savedSpeed = loadFromStorage(STORAGE_KEYS.SPEED);
+  if (savedSpeed !== null) {
+    speedSlider.value = savedSpeed;
+    speedValue.textContent = `${(savedSpeed / 100).toFixed(2)}×`;
+  }
+
+  const savedBoost = loadFromStorage(STORAGE_KEYS.SPEAKER_BOOST);
+  if (savedBoost !== null) speakerBoost.checked = savedBoost === '1';
+
+  const savedSeed = loadFromStorage(STORAGE_KEYS.SEED);
+  if (savedSeed !== null) seedInput.value = savedSeed;
+
+  const savedNormalization = loadFromStorage(STORAGE_KEYS.TEXT_NORMALIZATION);
+  if (savedNormalization) textNormalization.value = savedNormalization;
+
+  const savedProcessing = loadFromStorage(STORAGE_KEYS.POST_PROCESSING);
+  if (savedProcessing) {
+    try {
+      applyPostProcessing(JSON.parse(savedProcessing));
+    } catch {
+      removeFromStorage(STORAGE_KEYS.POST_PROCESSING);
+    }
+  }
+
+  const savedAttached = loadFromStorage(STORAGE_KEYS.ATTACHED_DICTIONARIES);
+  if (savedAttached !== null) attachedDictionaries.value = savedAttached;
+
+  const savedDictionaryMode = loadFromStorage(STORAGE_KEYS.DICTIONARY_MODE);
+  if (savedDictionaryMode) dictionaryMode.value = savedDictionaryMode;
+
+  try {
+    const savedFavorites = loadFromStorage(STORAGE_KEYS.FAVORITE_VOICES);
+    if (savedFavorites) favoriteVoices = JSON.parse(savedFavorites);
+  } catch { /* ignore */ }
+
+  try {
+    const savedRecents = loadFromStorage(STORAGE_KEYS.RECENT_VOICES);
+    if (savedRecents) recentVoices = JSON.parse(savedRecents);
+  } catch { /* ignore */ }
+
+  try {
+    const savedRules = loadFromStorage(STORAGE_KEYS.DICTIONARY_RULES);
+    if (savedRules) dictionaryRules = JSON.parse(savedRules);
+  } catch { /* ignore */ }
+
   const savedFormat = loadFromStorage(STORAGE_KEYS.OUTPUT_FORMAT);
   if (savedFormat) {
     const exists = Array.from(outputFormat.options).some(o => o.value === savedFormat);
     if (exists) outputFormat.value = savedFormat;
   }
 
+  const savedBitDepth = loadFromStorage(STORAGE_KEYS.WAV_BIT_DEPTH);
+  if (savedBitDepth) wavBitDepth.value = savedBitDepth;
+
+  const savedSampleRate = loadFromStorage(STORAGE_KEYS.WAV_SAMPLE_RATE);
+  if (savedSampleRate) wavSampleRate.value = savedSampleRate;
+
+  updateWavOptions();
+
   const savedAutoInsert = loadFromStorage(STORAGE_KEYS.AUTO_INSERT);
   if (savedAutoInsert !== null) {
     autoInsert.checked = savedAutoInsert === '1';
     document.getElementById('trackRow').style.display = autoInsert.checked ? 'flex' : 'none';
+    sfxTrackRow.style.display = autoInsert.checked ? 'flex' : 'none';
+  }
+
+  const savedInsertMode = loadFromStorage(STORAGE_KEYS.INSERT_MODE);
+  if (savedInsertMode) {
+    const exists = Array.from(insertMode.options).some(o => o.value === savedInsertMode);
+    if (exists) insertMode.value = savedInsertMode;
   }
 
+  const savedCaptions = loadFromStorage(STORAGE_KEYS.CAPTIONS);
+  if (savedCaptions !== null) captionsToggle.checked = savedCaptions === '1';
+
+  const savedStreaming = loadFromStorage(STORAGE_KEYS.STREAMING);
+  if (savedStreaming !== null) streamToggle.checked = savedStreaming === '1';
+
   const savedTrack = loadFromStorage(STORAGE_KEYS.AUDIO_TRACK);
   if (savedTrack !== null) {
     const exists = Array.from(audioTrack.options).some(o => o.value === savedTrack);
     if (exists) audioTrack.value = savedTrack;
   }
 
+  const savedSfxTrack = loadFromStorage(STORAGE_KEYS.SFX_TRACK);
+  if (savedSfxTrack !== null && Array.from(sfxTrack.options).some(o => o.value === savedSfxTrack)) {
+    sfxTrack.value = savedSfxTrack;
+  }
+
+  try {
+    const savedSpeakers = loadFromStorage(STORAGE_KEYS.DIALOGUE_SPEAKERS);
+    if (savedSpeakers) dialogueSpeakers = JSON.parse(savedSpeakers);
+  } catch { /* ignore */ }
+
   try {
-    const savedHistory = loadFromStorage(STORAGE_KEYS.HISTORY);
-    if (savedHistory) {
-      history = JSON.parse(savedHistory);
-      renderHistory();
+    const savedLinks = loadFromStorage(STORAGE_KEYS.MARKER_LINKS);
+    if (savedLinks) markerLinks = JSON.parse(savedLinks);
+  } catch { /* ignore */ }
+
+  const savedGap = loadFromStorage(STORAGE_KEYS.DIALOGUE_GAP);
+  if (savedGap !== null) dialogueGap.value = savedGap;
+
+  const savedConcurrency = loadFromStorage(STORAGE_KEYS.BATCH_CONCURRENCY);
+  if (savedConcurrency !== null) batchConcurrency.value = savedConcurrency;
+
+  const savedSubBin = loadFromStorage(STORAGE_KEYS.BATCH_SUB_BIN);
+  if (savedSubBin !== null) batchSubBin.checked = savedSubBin === '1';
+
+  const savedStsModel = loadFromStorage(STORAGE_KEYS.STS_MODEL);
+  if (savedStsModel && Array.from(stsModel.options).some(o => o.value === savedStsModel)) {
+    stsModel.value = savedStsModel;
+  }
+
+  const savedBudget = loadFromStorage(STORAGE_KEYS.JOB_BUDGET);
+  if (savedBudget !== null) jobBudget.value = savedBudget;
+
+  const savedBudgetAction = loadFromStorage(STORAGE_KEYS.BUDGET_ACTION);
+  if (savedBudgetAction) budgetAction.value = savedBudgetAction;
+
+  const savedRemoveNoise = loadFromStorage(STORAGE_KEYS.REMOVE_NOISE);
+  if (savedRemoveNoise !== null) removeNoise.checked = savedRemoveNoise === '1';
+
+  const savedSfxAuto = loadFromStorage(STORAGE_KEYS.SFX_AUTO_DURATION);
+  if (savedSfxAuto !== null) sfxAutoDuration.checked = savedSfxAuto === '1';
+
+  const savedSfxDuration = loadFromStorage(STORAGE_KEYS.SFX_DURATION);
+  if (savedSfxDuration !== null) sfxDuration.value = savedSfxDuration;
+
+  const savedSfxInfluence = loadFromStorage(STORAGE_KEYS.SFX_INFLUENCE);
+  if (savedSfxInfluence !== null) sfxInfluence.value = savedSfxInfluence;
+  updateSfxControls();
+
+  FIT_CONTROLS.forEach(([control, key]) => {
+    const saved = loadFromStorage(key);
+    if (saved === null) return;
+    if (control.type === 'checkbox') {
+      control.checked = saved === '1';
+    } else {
+      control.value = saved;
     }
+  });
+  updateFitOptions();
+
+  try {
+    const savedPresets = loadFromStorage(STORAGE_KEYS.PRESETS);
+    if (savedPresets) presets = JSON.parse(savedPresets);
   } catch { /* ignore */ }
+
+  presetFolder.value = loadFromStorage(STORAGE_KEYS.PRESET_FOLDER) || '';
+  loadSharedPresets();
+  renderPresets();
+  const activePreset = getSelectedPreset();
+  presetName.value = activePreset ? activePreset.name : '';
+
+  setScriptMode(loadFromStorage(STORAGE_KEYS.SCRIPT_MODE) || 'single');
+  setPanel(loadFromStorage(STORAGE_KEYS.PANEL) || 'voiceover');
+
+  loadProjectData();
 }
 
 
@@ -873,7 +5125,11 @@ async function initMainScreen() {
   restoreSettings();
   await Promise.all([
     loadVoices(),
+    loadModels(),
+    loadDictionaries(),
     loadAudioTracks(),
+    syncProjectStores(),
+    refreshUsage(),
   ]);
 }
 
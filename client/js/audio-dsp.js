@@ -0,0 +1,427 @@
+/**
+ * Audio DSP (CEP version)
+ * Decoding and sample-level processing for generated audio:
+ * duration measurement, pitch-preserving time-stretch, silence trimming,
+ * and loudness measurement/normalization (ITU-R BS.1770 / EBU R128)
+ * with true-peak limiting.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ * Decoding uses the Web Audio API available in CEP's Chromium runtime.
+ */
+
+/**
+ * Sample rate encoded in an output format string ("mp3_44100_128", "pcm_24000").
+ * @param {string} format
+ * @returns {number} Sample rate in Hz (44100 if the format doesn't say)
+ */
+function formatSampleRate(format) {
+  const match = /^[a-z0-9]+_(\d+)/.exec(format || '');
+  return match ? parseInt(match[1], 10) : 44100;
+}
+
+/**
+ * Decode an MP3 or WAV file into sample data.
+ * @param {ArrayBuffer} fileData - Complete file contents (not raw PCM)
+ * @param {number} [sampleRate=44100] - Rate to decode at (avoids resampling when it matches the file)
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudio(fileData, sampleRate = 44100) {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  // decodeAudioData detaches its input, so hand it a copy
+  return context.decodeAudioData(fileData.slice(0));
+}
+
+/**
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Float32Array[]} Copies of each channel's samples
+ */
+function audioBufferChannels(audioBuffer) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c).slice());
+  }
+  return channels;
+}
+
+/**
+ * Change duration without changing pitch (WSOLA — waveform-similarity overlap-add).
+ * Each output frame is taken from near its nominal input position, nudged to
+ * the offset that best continues the previous frame's waveform.
+ * @param {Float32Array} input - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} factor - Output length / input length (e.g. 1.1 = 10% longer)
+ * @returns {Float32Array} Stretched samples
+ */
+function timeStretch(input, sampleRate, factor) {
+  if (Math.abs(factor - 1) < 1e-4) return input.slice();
+
+  const frameLength = Math.round(sampleRate * 0.04);
+  const synthesisHop = Math.floor(frameLength / 2);
+  const analysisHop = synthesisHop / factor;
+  const tolerance = Math.round(sampleRate * 0.01);
+  const outLength = Math.round(input.length * factor);
+
+  const taper = new Float32Array(frameLength);
+  for (let i = 0; i < frameLength; i++) {
+    taper[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameLength - 1));
+  }
+
+  const output = new Float32Array(outLength + frameLength);
+  const norm = new Float32Array(outLength + frameLength);
+  const lastStart = input.length - frameLength;
+  let previous = 0;
+
+  for (let k = 0; k * synthesisHop < outLength; k++) {
+    let position = Math.min(Math.round(k * analysisHop), Math.max(lastStart, 0));
+
+    if (k > 0) {
+      // Compare candidates against the natural continuation of the previous frame
+      const natural = Math.min(previous + synthesisHop, Math.max(lastStart, 0));
+      let bestScore = -Infinity;
+      const from = Math.max(position - tolerance, 0);
+      const to = Math.min(position + tolerance, lastStart);
+
+      for (let candidate = from; candidate <= to; candidate += 2) {
+        let score = 0;
+        for (let i = 0; i < frameLength; i += 4) {
+          score += input[candidate + i] * input[natural + i];
+        }
+        if (score > bestScore) {
+          bestScore = score;
+          position = candidate;
+        }
+      }
+    }
+
+    const outStart = k * synthesisHop;
+    for (let i = 0; i < frameLength; i++) {
+      const sample = input[position + i] || 0;
+      output[outStart + i] += sample * taper[i];
+      norm[outStart + i] += taper[i];
+    }
+    previous = position;
+  }
+
+  const result = new Float32Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    result[i] = norm[i] > 1e-3 ? output[i] / norm[i] : 0;
+  }
+  return result;
+}
+
+
+// ─── Silence ────────────────────────────────────────────────────────────────
+
+// Window the silence detector averages over, so single clicks don't count as sound
+const SILENCE_WINDOW_SECONDS = 0.01;
+
+/**
+ * Find where sound starts and ends.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} thresholdDb - Windows quieter than this (dBFS RMS) count as silence
+ * @returns {Object|null} { start, end } sample range containing sound, or null if all silent
+ */
+function findSoundBounds(channels, sampleRate, thresholdDb) {
+  const length = channels[0].length;
+  const windowSize = Math.max(Math.round(sampleRate * SILENCE_WINDOW_SECONDS), 1);
+  const threshold = Math.pow(10, thresholdDb / 20);
+  const minSquare = threshold * threshold * windowSize * channels.length;
+
+  let start = -1;
+  let end = -1;
+  for (let from = 0; from < length; from += windowSize) {
+    const to = Math.min(from + windowSize, length);
+    let sum = 0;
+    channels.forEach(data => {
+      for (let i = from; i < to; i++) sum += data[i] * data[i];
+    });
+    if (sum >= minSquare) {
+      if (start < 0) start = from;
+      end = to;
+    }
+  }
+  return start < 0 ? null : { start, end };
+}
+
+/**
+ * Cut channels to a range and add silence before and after it.
+ * @param {Float32Array[]} channels
+ * @param {number} start - First sample to keep
+ * @param {number} end - Sample after the last one to keep
+ * @param {number} head - Samples of silence to add before
+ * @param {number} tail - Samples of silence to add after
+ * @returns {Float32Array[]}
+ */
+function trimAndPad(channels, start, end, head, tail) {
+  return channels.map(data => {
+    const out = new Float32Array(head + (end - start) + tail);
+    out.set(data.subarray(start, end), head);
+    return out;
+  });
+}
+
+
+// ─── Loudness ───────────────────────────────────────────────────────────────
+
+// BS.1770 gating: 400 ms blocks, 75% overlap, -70 LUFS absolute and -10 LU relative gates
+const LOUDNESS_BLOCK_SECONDS = 0.4;
+const LOUDNESS_STEP_SECONDS = 0.1;
+const LOUDNESS_ABSOLUTE_GATE = -70;
+const LOUDNESS_RELATIVE_GATE = -10;
+
+// Inter-sample positions checked for true peak (4× oversampling) and filter half-length
+const TRUE_PEAK_PHASES = [0.25, 0.5, 0.75];
+const TRUE_PEAK_TAPS = 6;
+
+/**
+ * Integrated loudness (BS.1770-4, K-weighted and gated).
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {number} LUFS, or -Infinity for silence / audio shorter than one block
+ */
+function measureLoudness(channels, sampleRate) {
+  const step = Math.round(sampleRate * LOUDNESS_STEP_SECONDS);
+  const stepsPerBlock = Math.round(LOUDNESS_BLOCK_SECONDS / LOUDNESS_STEP_SECONDS);
+  const steps = Math.floor(channels[0].length / step);
+  if (steps < stepsPerBlock) return -Infinity;
+
+  // Sum of K-weighted squares per 100 ms step, all channels (mono/stereo weights are 1)
+  const stepEnergy = new Float64Array(steps);
+  channels.forEach(data => {
+    const weighted = kWeight(data, sampleRate);
+    for (let s = 0; s < steps; s++) {
+      let sum = 0;
+      for (let i = s * step; i < (s + 1) * step; i++) sum += weighted[i] * weighted[i];
+      stepEnergy[s] += sum;
+    }
+  });
+
+  const blocks = [];
+  for (let s = 0; s + stepsPerBlock <= steps; s++) {
+    let sum = 0;
+    for (let k = 0; k < stepsPerBlock; k++) sum += stepEnergy[s + k];
+    blocks.push(sum / (step * stepsPerBlock));
+  }
+
+  const toLufs = meanSquare => -0.691 + 10 * Math.log10(meanSquare);
+  const gatedMean = minLufs => {
+    const kept = blocks.filter(z => toLufs(z) > minLufs);
+    return kept.length > 0 ? kept.reduce((a, b) => a + b, 0) / kept.length : 0;
+  };
+
+  const absolute = gatedMean(LOUDNESS_ABSOLUTE_GATE);
+  if (absolute === 0) return -Infinity;
+  const relative = gatedMean(toLufs(absolute) + LOUDNESS_RELATIVE_GATE);
+  return relative > 0 ? toLufs(relative) : -Infinity;
+}
+
+/**
+ * Apply the BS.1770 K-weighting filter (high shelf + high pass) at any sample rate.
+ * Coefficients are derived from the 48 kHz reference filter as in libebur128.
+ * @param {Float32Array} data
+ * @param {number} sampleRate
+ * @returns {Float64Array}
+ */
+function kWeight(data, sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  return biquad(biquad(data, shelf), highPass);
+}
+
+function biquad(input, { b0, b1, b2, a1, a2 }) {
+  const out = new Float64Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    out[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return out;
+}
+
+/**
+ * Peak level including the peaks between samples (4× oversampled), per sample:
+ * the largest of |x[i]| and the interpolated values between x[i] and x[i + 1].
+ * @param {Float32Array} data
+ * @returns {Float32Array}
+ */
+function interSamplePeaks(data) {
+  // Windowed-sinc fractional-delay filters, one per inter-sample position
+  const filters = TRUE_PEAK_PHASES.map(phase => {
+    const taps = [];
+    for (let k = -TRUE_PEAK_TAPS + 1; k <= TRUE_PEAK_TAPS; k++) {
+      const x = phase - k;
+      const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (TRUE_PEAK_TAPS + 0.5));
+      taps.push(sinc * window);
+    }
+    const sum = taps.reduce((a, b) => a + b, 0);
+    return taps.map(t => t / sum);
+  });
+
+  const length = data.length;
+  const peaks = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let peak = Math.abs(data[i]);
+    for (const taps of filters) {
+      let value = 0;
+      for (let t = 0; t < taps.length; t++) {
+        const index = i + t - TRUE_PEAK_TAPS + 1;
+        if (index >= 0 && index < length) value += data[index] * taps[t];
+      }
+      if (Math.abs(value) > peak) peak = Math.abs(value);
+    }
+    peaks[i] = peak;
+  }
+  return peaks;
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @returns {number} True peak in dBTP (-Infinity for silence)
+ */
+function measureTruePeak(channels) {
+  let peak = 0;
+  channels.forEach(data => {
+    const peaks = interSamplePeaks(data);
+    for (let i = 0; i < peaks.length; i++) {
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+  });
+  return 20 * Math.log10(peak);
+}
+
+/**
+ * Scale to a target loudness, then keep true peaks under a ceiling with a
+ * look-ahead limiter (5 ms attack, 50 ms release). Channels are modified in place.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} targetLufs - e.g. -16 (podcasts) or -23 (EBU R128 broadcast)
+ * @param {number} ceilingDb - True-peak ceiling in dBTP, e.g. -1
+ * @returns {number} Gain applied before limiting, in dB (0 when the audio is silent)
+ */
+function normalizeLoudness(channels, sampleRate, targetLufs, ceilingDb) {
+  const measured = measureLoudness(channels, sampleRate);
+  const gainDb = isFinite(measured) ? targetLufs - measured : 0;
+  const gain = Math.pow(10, gainDb / 20);
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) data[i] *= gain;
+  });
+
+  limitTruePeak(channels, sampleRate, Math.pow(10, ceilingDb / 20));
+  return gainDb;
+}
+
+/**
+ * Look-ahead true-peak limiter. The gain needed at each sample is spread over
+ * the look-ahead window before it, so gain reduction ramps in rather than
+ * clicking, and released smoothly afterwards. Channels share one gain.
+ * @param {Float32Array[]} channels - Modified in place
+ * @param {number} sampleRate
+ * @param {number} ceiling - Linear true-peak ceiling
+ */
+function limitTruePeak(channels, sampleRate, ceiling) {
+  const length = channels[0].length;
+  const required = new Float32Array(length).fill(1);
+  let limiting = false;
+  channels.forEach(data => {
+    const peaks = interSamplePeaks(data);
+    for (let i = 0; i < length; i++) {
+      if (peaks[i] > ceiling) {
+        required[i] = Math.min(required[i], ceiling / peaks[i]);
+        limiting = true;
+      }
+    }
+  });
+  if (!limiting) return;
+
+  const lookahead = Math.max(Math.round(sampleRate * 0.005), 1);
+  const release = Math.exp(-1 / (sampleRate * 0.05));
+
+  // Lowest required gain over the next `lookahead` samples (monotonic deque)
+  const windowMin = new Float32Array(length);
+  const deque = new Int32Array(length);
+  let head = 0, tail = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    while (tail > head && required[deque[tail - 1]] >= required[i]) tail--;
+    deque[tail++] = i;
+    if (deque[head] >= i + lookahead) head++;
+    windowMin[i] = required[deque[head]];
+  }
+
+  // Average over the window behind each sample: reaches the required gain by the peak.
+  // Before the first sample there's nothing to ramp from, so the window starts at its gain
+  let sum = 0;
+  let previous = windowMin[0];
+  for (let i = 0; i < length; i++) {
+    sum += windowMin[i];
+    if (i >= lookahead) sum -= windowMin[i - lookahead];
+    const count = Math.min(i + 1, lookahead);
+    const target = (sum + (lookahead - count) * windowMin[0]) / lookahead;
+
+    // Reduce immediately, recover slowly
+    const gain = target < previous ? target : target + (previous - target) * release;
+    previous = gain;
+    channels.forEach(data => { data[i] *= gain; });
+  }
+
+  clampTruePeaks(channels, ceiling);
+}
+
+/**
+ * Final safety pass after limiting: wherever a true peak is still over the
+ * ceiling, scale down the samples it's interpolated from (on every channel).
+ * @param {Float32Array[]} channels - Modified in place
+ * @param {number} ceiling - Linear true-peak ceiling
+ */
+function clampTruePeaks(channels, ceiling) {
+  const length = channels[0].length;
+  // Scaling one spot can nudge its neighbours, so check again a few times
+  for (let round = 0; round < 4; round++) {
+    const gain = new Float32Array(length).fill(1);
+    let over = false;
+    channels.forEach(data => {
+      const peaks = interSamplePeaks(data);
+      for (let i = 0; i < length; i++) {
+        if (peaks[i] <= ceiling) continue;
+        over = true;
+        const reduction = ceiling / peaks[i];
+        const end = Math.min(i + TRUE_PEAK_TAPS, length - 1);
+        for (let j = Math.max(i - TRUE_PEAK_TAPS + 1, 0); j <= end; j++) {
+          if (reduction < gain[j]) gain[j] = reduction;
+        }
+      }
+    });
+    if (!over) return;
+    channels.forEach(data => {
+      for (let i = 0; i < length; i++) data[i] *= gain[i];
+    });
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Audio Player (CEP version)
+ * Plays MP3/WAV files inside the panel with the Web Audio API and draws
+ * their waveform on a canvas, with scrubbing, looping and trim in/out points.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+// Bar width and gap of the waveform, in CSS pixels
+const WAVEFORM_BAR = 2;
+const WAVEFORM_GAP = 1;
+
+class AudioPlayer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Waveform; click or drag on it to scrub
+   * @param {Object} [options]
+   * @param {Function} [options.onUpdate] - Called when the position, playing state,
+   *   loop or trim changes (every frame while playing)
+   */
+  constructor(canvas, { onUpdate = () => {} } = {}) {
+    this.canvas = canvas;
+    this.onUpdate = onUpdate;
+    this.buffer = null;
+    this.playing = false;
+    this.loop = false;
+    this.trimIn = 0;
+    this.trimOut = 0;
+
+    this._context = null;
+    this._source = null;
+    this._offset = 0;      // position when paused, or where playback last started
+    this._startedAt = 0;   // context time playback last started
+    this._frame = null;
+    this._peaks = null;
+
+    let resumeAfterScrub = false;
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!this.buffer) return;
+      resumeAfterScrub = this.playing;
+      this.pause();
+      canvas.setPointerCapture(e.pointerId);
+      this.seek(this._timeAt(e));
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (canvas.hasPointerCapture(e.pointerId)) this.seek(this._timeAt(e));
+    });
+    canvas.addEventListener('pointerup', (e) => {
+      if (!canvas.hasPointerCapture(e.pointerId)) return;
+      canvas.releasePointerCapture(e.pointerId);
+      if (resumeAfterScrub) this.play();
+    });
+  }
+
+  get duration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /** @returns {boolean} True if trim points are set inside the file */
+  get trimmed() {
+    return !!this.buffer && (this.trimIn > 0 || this.trimOut < this.duration);
+  }
+
+  /** @returns {number} Playback position in seconds */
+  get currentTime() {
+    if (!this.playing) return this._offset;
+    const position = this._offset + (this._context.currentTime - this._startedAt);
+    if (!this.loop || position < this.trimOut) return Math.min(position, this.trimOut);
+    return this.trimIn + (position - this.trimOut) % (this.trimOut - this.trimIn);
+  }
+
+  /**
+   * Decode a file and show its waveform. Trim and position are reset.
+   * @param {ArrayBuffer} data - MP3 or WAV file contents (not modified)
+   * @returns {Promise<void>}
+   */
+  async load(data) {
+    this.unload();
+    if (!this._context) this._context = new AudioContext();
+    // decodeAudioData takes ownership of the buffer, so give it a copy
+    this.buffer = await this._context.decodeAudioData(data.slice(0));
+    this.trimIn = 0;
+    this.trimOut = this.buffer.duration;
+    this.draw();
+    this.onUpdate();
+  }
+
+  unload() {
+    this.pause();
+    this.buffer = null;
+    this._peaks = null;
+    this._offset = 0;
+    this.draw();
+  }
+
+  play() {
+    if (!this.buffer || this.playing) return;
+    if (this._offset < this.trimIn || this._offset >= this.trimOut) this._offset = this.trimIn;
+    if (this._context.state === 'suspended') this._context.resume();
+
+    const source = this._context.createBufferSource();
+    source.buffer = this.buffer;
+    source.connect(this._context.destination);
+    if (this.loop) {
+      source.loop = true;
+      source.loopStart = this.trimIn;
+      source.loopEnd = this.trimOut;
+      source.start(0, this._offset);
+    } else {
+      source.start(0, this._offset, this.trimOut - this._offset);
+    }
+    source.onended = () => {
+      if (this._source !== source) return;
+      // Reached the out point — rewind to the in point for the next play
+      this._source = null;
+      this.playing = false;
+      this._offset = this.trimIn;
+      this._refresh();
+    };
+
+    this._source = source;
+    this._startedAt = this._context.currentTime;
+    this.playing = true;
+    this._tick();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this._offset = this.currentTime;
+    this.playing = false;
+    const source = this._source;
+    this._source = null;
+    source.stop();
+    this._refresh();
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * @param {number} seconds - New position (clamped to the file)
+   */
+  seek(seconds) {
+    this._restartAfter(() => {
+      this._offset = Math.min(Math.max(seconds, 0), this.duration);
+    });
+  }
+
+  /** @param {boolean} loop - Repeat the trimmed region */
+  setLoop(loop) {
+    this._restartAfter(() => {
+      this.loop = loop;
+    });
+  }
+
+  /**
+   * Set the in point (the out point is cleared if it would come before it).
+   * @param {number} seconds
+   */
+  setTrimIn(seconds) {
+    this._restartAfter(() => {
+      this.trimIn = Math.min(Math.max(seconds, 0), this.duration);
+      if (this.trimOut <= this.trimIn) this.trimOut = this.duration;
+    });
+  }
+
+  /**
+   * Set the out point (the in point is cleared if it would come after it).
+   * @param {number} seconds
+   */
+  setTrimOut(seconds) {
+    this._restartAfter(() => {
+      this.trimOut = Math.min(Math.max(seconds, 0), this.duration);
+      if (this.trimIn >= this.trimOut) this.trimIn = 0;
+    });
+  }
+
+  clearTrim() {
+    this._restartAfter(() => {
+      this.trimIn = 0;
+      this.trimOut = this.duration;
+    });
+  }
+
+  /** Redraw the waveform, trim region and playhead. */
+  draw() {
+    const canvas = this.canvas;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      this._peaks = null;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (!this.buffer || width === 0) return;
+
+    const style = getComputedStyle(canvas);
+    const colors = {
+      wave: style.getPropertyValue('--accent').trim() || '#6c63ff',
+      outside: style.getPropertyValue('--text-muted').trim() || '#505050',
+      playhead: style.getPropertyValue('--text-primary').trim() || '#e8e8e8',
+    };
+
+    const step = (WAVEFORM_BAR + WAVEFORM_GAP) * ratio;
+    if (!this._peaks) this._peaks = this._computePeaks(Math.floor(width / step));
+
+    const toX = seconds => (seconds / this.duration) * width;
+    const inX = toX(this.trimIn);
+    const outX = toX(this.trimOut);
+    const middle = height / 2;
+
+    this._peaks.forEach((peak, i) => {
+      const x = i * step;
+      const barHeight = Math.max(peak * height * 0.9, ratio);
+      ctx.fillStyle = x + step > inX && x < outX ? colors.wave : colors.outside;
+      ctx.fillRect(x, middle - barHeight / 2, WAVEFORM_BAR * ratio, barHeight);
+    });
+
+    // Trim handles
+    ctx.fillStyle = colors.playhead;
+    if (this.trimmed) {
+      ctx.fillRect(inX, 0, ratio, height);
+      ctx.fillRect(outX - ratio, 0, ratio, height);
+    }
+
+    // Playhead
+    ctx.globalAlpha = 0.8;
+    ctx.fillRect(toX(this.currentTime), 0, ratio, height);
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Peak level for each waveform bar (largest absolute sample, all channels).
+   * @param {number} bars
+   * @returns {Float32Array} Values 0–1
+   */
+  _computePeaks(bars) {
+    const peaks = new Float32Array(Math.max(bars, 0));
+    const length = this.buffer.length;
+    for (let channel = 0; channel < this.buffer.numberOfChannels; channel++) {
+      const data = this.buffer.getChannelData(channel);
+      for (let bar = 0; bar < bars; bar++) {
+        const start = Math.floor((bar / bars) * length);
+        const end = Math.floor(((bar + 1) / bars) * length);
+        let peak = peaks[bar];
+        for (let i = start; i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > peak) peak = value;
+        }
+        peaks[bar] = peak;
+      }
+    }
+    return peaks;
+  }
+
+  _timeAt(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return ((event.clientX - rect.left) / rect.width) * this.duration;
+  }
+
+  // Apply a change that affects playback, restarting it if it was running
+  _restartAfter(change) {
+    if (!this.buffer) return;
+    const wasPlaying = this.playing;
+    this.pause();
+    change();
+    if (wasPlaying) {
+      this.play();
+    } else {
+      this._refresh();
+    }
+  }
+
+  _refresh() {
+    this.draw();
+    this.onUpdate();
+  }
+
+  _tick() {
+    if (this._frame) return;
+    const frame = () => {
+      this._frame = null;
+      this._refresh();
+      if (this.playing) this._frame = requestAnimationFrame(frame);
+    };
+    this._frame = requestAnimationFrame(frame);
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Captions (CEP version)
+ * Turns the character alignment returned by the with-timestamps endpoint
+ * into word timings, caption cues, and SRT / WebVTT files.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ * Depends on wav-encoder.js (pcmSampleRate).
+ */
+
+const CAPTION_DEFAULTS = {
+  maxChars: 42,     // broadcast single-line limit
+  maxDuration: 5,   // seconds on screen
+  maxPause: 0.6,    // a longer pause starts a new cue
+};
+
+/**
+ * Group aligned characters into words.
+ * @param {Object} alignment - { characters, character_start_times_seconds, character_end_times_seconds }
+ * @returns {Array} [{ text, start, end }] in seconds
+ */
+function alignmentToWords(alignment) {
+  const words = [];
+  if (!alignment || !alignment.characters) return words;
+
+  const chars = alignment.characters;
+  const starts = alignment.character_start_times_seconds;
+  const ends = alignment.character_end_times_seconds;
+  let current = null;
+
+  for (let i = 0; i < chars.length; i++) {
+    if (/\s/.test(chars[i])) {
+      if (current) words.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { text: '', start: starts[i], end: ends[i] };
+    }
+    current.text += chars[i];
+    current.end = ends[i];
+  }
+  if (current) words.push(current);
+
+  return words;
+}
+
+/**
+ * Join per-part alignments into one, shifting each part by its offset.
+ * A space is inserted between parts so words never run together.
+ * @param {Array} parts - [{ alignment, offset }] with offset in seconds
+ * @returns {Object} Combined alignment
+ */
+function mergeAlignments(parts) {
+  const merged = {
+    characters: [],
+    character_start_times_seconds: [],
+    character_end_times_seconds: [],
+  };
+
+  parts.forEach(({ alignment, offset }, index) => {
+    if (!alignment || !alignment.characters) return;
+    if (index > 0) {
+      merged.characters.push(' ');
+      merged.character_start_times_seconds.push(offset);
+      merged.character_end_times_seconds.push(offset);
+    }
+    alignment.characters.forEach((ch, i) => {
+      merged.characters.push(ch);
+      merged.character_start_times_seconds.push(alignment.character_start_times_seconds[i] + offset);
+      merged.character_end_times_seconds.push(alignment.character_end_times_seconds[i] + offset);
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Scale alignment times, e.g. after the audio was time-stretched.
+ * @param {Object} alignment
+ * @param {number} factor - New length / old length
+ * @returns {Object} Scaled copy
+ */
+function scaleAlignment(alignment, factor) {
+  return {
+    characters: alignment.characters.slice(),
+    character_start_times_seconds: alignment.character_start_times_seconds.map(t => t * factor),
+    character_end_times_seconds: alignment.character_end_times_seconds.map(t => t * factor),
+  };
+}
+
+/**
+ * Move alignment times, e.g. after silence was trimmed from the start.
+ * Times that would fall before the start of the audio are clamped to 0.
+ * @param {Object} alignment
+ * @param {number} offset - Seconds to add (negative moves earlier)
+ * @returns {Object} Shifted copy
+ */
+function shiftAlignment(alignment, offset) {
+  const shift = t => Math.max(t + offset, 0);
+  return {
+    characters: alignment.characters.slice(),
+    character_start_times_seconds: alignment.character_start_times_seconds.map(shift),
+    character_end_times_seconds: alignment.character_end_times_seconds.map(shift),
+  };
+}
+
+/**
+ * Group words into caption cues, breaking at sentence ends, long pauses,
+ * and the character / duration limits.
+ * @param {Array} words - From alignmentToWords()
+ * @param {Object} [options] - Overrides for CAPTION_DEFAULTS
+ * @returns {Array} [{ start, end, text }]
+ */
+function buildCaptionCues(words, options = {}) {
+  const { maxChars, maxDuration, maxPause } = { ...CAPTION_DEFAULTS, ...options };
+  const cues = [];
+  let current = null;
+
+  for (const word of words) {
+    if (current && (
+      current.text.length + 1 + word.text.length > maxChars ||
+      word.end - current.start > maxDuration ||
+      word.start - current.end > maxPause
+    )) {
+      cues.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { start: word.start, end: word.end, text: word.text };
+    } else {
+      current.text += ` ${word.text}`;
+      current.end = word.end;
+    }
+
+    if (/[.!?…]["'”’)\]]*$/.test(word.text)) {
+      cues.push(current);
+      current = null;
+    }
+  }
+  if (current) cues.push(current);
+
+  return cues;
+}
+
+/**
+ * @param {Array} cues - From buildCaptionCues()
+ * @returns {string} SubRip (.srt) file contents
+ */
+function formatSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
+
+/**
+ * @param {Array} cues - From buildCaptionCues()
+ * @returns {string} WebVTT (.vtt) file contents
+ */
+function formatVtt(cues) {
+  const body = cues.map(cue =>
+    `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}\n${cue.text}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+function formatCaptionTime(seconds, msSeparator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(ms, 3)}`;
+}
+
+/**
+ * Duration of API audio, derived from its size and output format.
+ * Exact for PCM; for constant-bitrate MP3 it's accurate to a frame.
+ * @param {ArrayBuffer} audio - Audio as returned by the API
+ * @param {string} format - Output format (e.g. "mp3_44100_128", "pcm_24000")
+ * @returns {number} Duration in seconds (0 if the format is unknown)
+ */
+function estimateAudioDuration(audio, format) {
+  const sampleRate = pcmSampleRate(format);
+  if (sampleRate) return audio.byteLength / 2 / sampleRate;
+
+  const mp3 = /^mp3_\d+_(\d+)$/.exec(format);
+  if (mp3) return (audio.byteLength * 8) / (parseInt(mp3[1], 10) * 1000);
+
+  return 0;
+}
@@ -0,0 +1,54 @@
+/**
+ * Dialogue Parser (CEP version)
+ * Turns a tagged script ("HOST: ..." / "GUEST: ...") into ordered lines
+ * so each line can be voiced by the speaker's own voice.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+// Speaker tag at the start of a line: a short name followed by a colon
+const SPEAKER_TAG_PATTERN = /^\s*([A-Za-z][\w .'-]{0,29}?)\s*:\s*(.*)$/;
+
+/**
+ * Parse a dialogue script.
+ * Untagged lines continue the previous speaker's line; blank lines are ignored.
+ * @param {string} text - Script with speaker tags
+ * @returns {Object} { lines: [{speaker, text}], speakers: string[], untagged: number }
+ *   speakers are in order of first appearance; untagged counts lines before the first tag
+ */
+function parseDialogue(text) {
+  const lines = [];
+  const speakers = [];
+  let untagged = 0;
+
+  for (const raw of (text || '').split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+
+    const match = SPEAKER_TAG_PATTERN.exec(raw);
+    if (match) {
+      const speaker = normalizeSpeaker(match[1]);
+      if (!speakers.includes(speaker)) speakers.push(speaker);
+      lines.push({ speaker, text: match[2].trim() });
+    } else if (lines.length > 0) {
+      const last = lines[lines.length - 1];
+      last.text = last.text ? `${last.text} ${raw.trim()}` : raw.trim();
+    } else {
+      untagged++;
+    }
+  }
+
+  return {
+    lines: lines.filter(l => l.text),
+    speakers,
+    untagged,
+  };
+}
+
+/**
+ * Speaker names are matched case-insensitively ("Host" and "HOST" are one speaker).
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeSpeaker(name) {
+  return name.trim().replace(/\s+/g, ' ').toUpperCase();
+}
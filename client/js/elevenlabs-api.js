@@ -1,6 +1,9 @@
 /**
  * ElevenLabs API Client (CEP version)
- * Handles voice listing, text-to-speech generation, and subscription info.
+ * Handles voice listing, cloning and design, the shared voice library, text-to-speech generation (streamed, or with optional timestamps),
+ * speech-to-speech conversion, sound effects, pronunciation dictionaries and subscription usage. Every call goes through _request(), which retries
+ * rate limits and transient failures with backoff and reports failures as
+ * ElevenLabsError.
  *
  * No module.exports — this is loaded via <script> tag in the CEP panel.
  * Uses standard fetch() API available in CEP's Chromium runtime.
@@ -8,10 +11,61 @@
 
 const API_BASE = 'https://api.elevenlabs.io/v1';
 
+// Backoff between retries: 1s, 2s, 4s... (with jitter), capped
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Give up instead of waiting when the server asks for a longer pause than this
+const RETRY_AFTER_LIMIT_MS = 60000;
+
+// Pronunciation dictionaries a single generation can use
+const MAX_DICTIONARY_LOCATORS = 3;
+
+// Error codes (detail.status) that are worth retrying even though they aren't 429/5xx
+const RETRYABLE_CODES = ['too_many_concurrent_requests', 'system_busy'];
+
+/**
+ * A failed API call.
+ * code is the API's detail.status when it sends one (e.g. "quota_exceeded"),
+ * otherwise "http_<status>", or one of "timeout" | "network" | "cancelled".
+ */
+class ElevenLabsError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [info]
+   * @param {number} [info.status=0] - HTTP status (0 when no response was received)
+   * @param {string} [info.code]
+   * @param {*} [info.detail] - The response's detail field, as sent
+   * @param {boolean} [info.retryable=false] - Whether trying again later may succeed
+   * @param {number|null} [info.retryAfter] - Server-requested wait in ms
+   */
+  constructor(message, { status = 0, code = '', detail = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ElevenLabsError';
+    this.status = status;
+    this.code = code || (status ? `http_${status}` : 'error');
+    this.detail = detail;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+
+  get cancelled() {
+    return this.code === 'cancelled';
+  }
+}
+
 class ElevenLabsAPI {
   constructor() {
     this.apiKey = '';
     this.voices = [];
+
+    // Per-attempt timeouts in ms; generation gets longer since long texts take a while
+    this.timeout = 30000;
+    this.generationTimeout = 180000;
+    this.maxRetries = 3;
+
+    // Called before waiting to retry: (error, delayMs, attempt, maxRetries)
+    this.onRetry = null;
   }
 
   setApiKey(key) {
@@ -25,40 +79,345 @@ class ElevenLabsAPI {
     };
   }
 
+  /**
+   * Make an API request, retrying rate limits (429), server errors (5xx),
+   * timeouts and network failures with exponential backoff.
+   * @param {string} path - Path under API_BASE, including any query string
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object|FormData} [options.body] - Sent as JSON, or as multipart form data
+   * @param {AbortSignal} [options.signal] - Aborting cancels the request and any pending retry
+   * @param {number} [options.timeout] - Per-attempt timeout in ms (defaults to this.timeout)
+   * @param {string} [options.action] - What failed, for error messages ("Speech generation")
+   * @param {boolean} [options.stream=false] - Hand back the body unread, for the caller
+   *   to read with its own timeout and cancellation
+   * @param {boolean} [options.idempotent=true] - false for requests that create something:
+   *   they're only retried when the server turned them away (429, busy), since after a
+   *   timeout, network failure or 5xx the first attempt may have gone through
+   * @returns {Promise<Response>} A successful response
+   * @throws {ElevenLabsError}
+   */
+  async _request(path, {
+    method = 'GET',
+    body,
+    signal,
+    timeout = this.timeout,
+    action = 'Request',
+    stream = false,
+    idempotent = true,
+  } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const response = await this._fetchOnce(path, { method, body, signal, timeout, action, stream });
+        if (response.ok) return response;
+        error = await this._responseError(response, action);
+      } catch (err) {
+        if (!(err instanceof ElevenLabsError)) throw err;
+        error = err;
+      }
+
+      if (!error.retryable || attempt >= this.maxRetries) throw error;
+      if (!idempotent && !wasTurnedAway(error)) throw error;
+
+      const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+      const delay = error.retryAfter != null
+        ? error.retryAfter
+        : backoff / 2 + Math.random() * backoff / 2;
+      if (delay > RETRY_AFTER_LIMIT_MS) throw error;
+
+      if (this.onRetry) this.onRetry(error, delay, attempt + 1, this.maxRetries);
+      await abortableDelay(delay, signal);
+    }
+  }
+
+  /**
+   * One fetch with a timeout, turning aborts and network failures into ElevenLabsError.
+   * Unless streaming, the body is read before the timeout and abort link are
+   * released, so a stalled download times out and Cancel stops it.
+   * @returns {Promise<Response>} With the body already in memory, unless streaming
+   */
+  async _fetchOnce(path, { method, body, signal, timeout, action, stream }) {
+    if (signal && signal.aborted) throw cancelledError();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    try {
+      // Multipart bodies need the browser to set Content-Type (with the boundary)
+      const multipart = body instanceof FormData;
+      const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: multipart ? { 'xi-api-key': this.apiKey } : this._headers(),
+        body: body !== undefined && !multipart ? JSON.stringify(body) : body,
+        signal: controller.signal,
+      });
+      if (stream && response.ok) return response;
+
+      const data = await response.arrayBuffer();
+      // Responses such as 204 can't be given a body, even an empty one
+      return new Response(data.byteLength > 0 ? data : null, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    } catch (err) {
+      if (timedOut) {
+        throw new ElevenLabsError(`${action} timed out after ${Math.round(timeout / 1000)}s`, { code: 'timeout', retryable: true });
+      }
+      if (err.name === 'AbortError') throw cancelledError();
+      throw new ElevenLabsError(`${action} failed — could not reach ElevenLabs`, { code: 'network', retryable: true });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Build an ElevenLabsError from a non-2xx response.
+   * @param {Response} response
+   * @param {string} action
+   * @returns {Promise<ElevenLabsError>}
+   */
+  async _responseError(response, action) {
+    const data = await response.json().catch(() => ({}));
+    const detail = data.detail !== undefined ? data.detail : null;
+
+    // detail is { status, message } for API errors, a string, or a list of validation errors
+    let code = '';
+    let message = '';
+    if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+      code = detail.status || '';
+      message = detail.message || '';
+    } else if (typeof detail === 'string') {
+      message = detail;
+    } else if (Array.isArray(detail) && detail[0]) {
+      message = detail[0].msg || '';
+    }
+
+    const status = response.status;
+    return new ElevenLabsError(message || `${action} failed (${status})`, {
+      status,
+      code,
+      detail,
+      retryable: status === 429 || status >= 500 || RETRYABLE_CODES.includes(code),
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+
   /**
    * Fetch available voices from the API.
    * @returns {Promise<Array>} List of voice objects
    */
   async getVoices() {
-    const response = await fetch(`${API_BASE}/voices`, {
-      method: 'GET',
-      headers: this._headers(),
+    const response = await this._request('/voices', { action: 'Fetching voices' });
+    const data = await response.json();
+    this.voices = data.voices || [];
+    return this.voices;
+  }
+
+  /**
+   * Search the shared (community) voice library.
+   * @param {Object} [options]
+   * @param {string} [options.search] - Matches names, descriptions and tags
+   * @param {string} [options.language] - ISO 639-1 code ("en")
+   * @param {string} [options.accent] - e.g. "british"
+   * @param {string} [options.gender] - "male" | "female" | "neutral"
+   * @param {string} [options.useCase] - e.g. "narrative_story"
+   * @param {string} [options.sort='trending'] - "trending" | "created_date" | "cloned_by_count" | "usage_character_count_1y"
+   * @param {number} [options.page=0] - Zero-based page
+   * @param {number} [options.pageSize=30]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} { voices: [{ voice_id, public_owner_id, name, preview_url, ... }], hasMore }
+   */
+  async searchSharedVoices({
+    search = '',
+    language = '',
+    accent = '',
+    gender = '',
+    useCase = '',
+    sort = 'trending',
+    page = 0,
+    pageSize = 30,
+    signal,
+  } = {}) {
+    const params = new URLSearchParams({ page_size: String(pageSize), page: String(page), sort });
+    if (search) params.set('search', search);
+    if (language) params.set('language', language);
+    if (accent) params.set('accent', accent);
+    if (gender) params.set('gender', gender);
+    if (useCase) params.set('use_cases', useCase);
+
+    const response = await this._request(`/shared-voices?${params}`, { signal, action: 'Searching the voice library' });
+    const data = await response.json();
+    return { voices: data.voices || [], hasMore: !!data.has_more };
+  }
+
+  /**
+   * Add a voice from the shared library to the account.
+   * @param {string} publicOwnerId - The voice's public_owner_id
+   * @param {string} voiceId
+   * @param {string} name - Name it gets in the account
+   * @returns {Promise<Object>} { voiceId } of the voice in the account
+   */
+  async addSharedVoice(publicOwnerId, voiceId, name) {
+    const response = await this._request(`/voices/add/${publicOwnerId}/${voiceId}`, {
+      method: 'POST',
+      body: { new_name: name },
+      action: 'Adding voice',
+      idempotent: false,
     });
+    const data = await response.json();
+    return { voiceId: data.voice_id };
+  }
 
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(err.detail?.message || `Failed to fetch voices (${response.status})`);
+  /**
+   * Create an instant voice clone from reference recordings.
+   * @param {Object} options
+   * @param {string} options.name - Voice name
+   * @param {Array<Blob>} options.files - Audio samples (File names are kept)
+   * @param {string} [options.description]
+   * @param {Object} [options.labels] - e.g. { accent: 'British', gender: 'female' }
+   * @param {boolean} [options.removeBackgroundNoise=false] - Isolate the voice in the samples first
+   * @returns {Promise<Object>} { voiceId, requiresVerification }
+   */
+  async addVoice(options) {
+    if (!options.files || options.files.length === 0) {
+      throw new Error('At least one audio sample is required');
+    }
+    const response = await this._request('/voices/add', {
+      method: 'POST',
+      body: this._voiceForm(options),
+      timeout: this.generationTimeout,
+      action: 'Cloning voice',
+      idempotent: false,
+    });
+    const data = await response.json();
+    return { voiceId: data.voice_id, requiresVerification: !!data.requires_verification };
+  }
+
+  /**
+   * Update a cloned voice's details; any files are added as extra samples.
+   * @param {string} voiceId
+   * @param {Object} options - See addVoice(); files are optional
+   * @returns {Promise<void>}
+   */
+  async editVoice(voiceId, options) {
+    await this._request(`/voices/${voiceId}/edit`, {
+      method: 'POST',
+      body: this._voiceForm(options),
+      timeout: this.generationTimeout,
+      action: 'Updating voice',
+      // A repeat would add the samples twice
+      idempotent: !(options.files && options.files.length > 0),
+    });
+  }
+
+  /**
+   * Delete a voice from the account.
+   * @param {string} voiceId
+   * @returns {Promise<void>}
+   */
+  async deleteVoice(voiceId) {
+    await this._request(`/voices/${voiceId}`, { method: 'DELETE', action: 'Deleting voice' });
+  }
+
+  /**
+   * Generate candidate voices from a description (voice design).
+   * @param {Object} options
+   * @param {string} options.description - What the voice sounds like (20-1000 characters)
+   * @param {string} [options.text] - Line the previews speak (100-1000 characters);
+   *   empty lets ElevenLabs write one to suit the description
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} { text, previews: [{ generatedVoiceId, audio (ArrayBuffer), duration }] }
+   */
+  async designVoicePreviews({ description, text = '', signal }) {
+    if (!description || !description.trim()) {
+      throw new Error('Voice description is required');
+    }
+
+    const body = { voice_description: description };
+    if (text) {
+      body.text = text;
+    } else {
+      body.auto_generate_text = true;
     }
 
+    const response = await this._request('/text-to-voice/create-previews', {
+      method: 'POST',
+      body,
+      signal,
+      timeout: this.generationTimeout,
+      action: 'Designing voice',
+    });
     const data = await response.json();
-    this.voices = data.voices || [];
-    return this.voices;
+    return {
+      text: data.text || text,
+      previews: (data.previews || []).map(preview => ({
+        generatedVoiceId: preview.generated_voice_id,
+        audio: base64ToArrayBuffer(preview.audio_base_64),
+        duration: preview.duration_secs || 0,
+      })),
+    };
   }
 
   /**
-   * Get available models from the API.
-   * @returns {Promise<Array>} List of model objects
+   * Add a designed voice to the account.
+   * @param {Object} options
+   * @param {string} options.name - Voice name
+   * @param {string} options.description - The description it was designed from
+   * @param {string} options.generatedVoiceId - From designVoicePreviews()
+   * @param {Object} [options.labels]
+   * @returns {Promise<Object>} { voiceId }
    */
-  async getModels() {
-    const response = await fetch(`${API_BASE}/models`, {
-      method: 'GET',
-      headers: this._headers(),
+  async createVoiceFromPreview({ name, description, generatedVoiceId, labels }) {
+    if (!name || !name.trim()) {
+      throw new Error('Voice name is required');
+    }
+
+    const body = { voice_name: name.trim(), voice_description: description, generated_voice_id: generatedVoiceId };
+    if (labels) body.labels = labels;
+
+    const response = await this._request('/text-to-voice/create-voice-from-preview', {
+      method: 'POST',
+      body,
+      action: 'Saving designed voice',
+      idempotent: false,
     });
+    const data = await response.json();
+    return { voiceId: data.voice_id };
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models (${response.status})`);
+  /**
+   * Multipart body for adding or editing a voice.
+   * @returns {FormData}
+   */
+  _voiceForm({ name, files = [], description = '', labels = {}, removeBackgroundNoise = false }) {
+    if (!name || !name.trim()) {
+      throw new Error('Voice name is required');
     }
 
+    const form = new FormData();
+    form.append('name', name.trim());
+    files.forEach((file, i) => form.append('files', file, file.name || `sample_${i + 1}.wav`));
+    if (description) form.append('description', description);
+    form.append('labels', JSON.stringify(labels));
+    form.append('remove_background_noise', String(removeBackgroundNoise));
+    return form;
+  }
+
+  /**
+   * Get available models from the API.
+   * @returns {Promise<Array>} List of model objects
+   */
+  async getModels() {
+    const response = await this._request('/models', { action: 'Fetching models' });
     const models = await response.json();
     return models.filter(m => m.can_do_text_to_speech);
   }
@@ -71,16 +430,161 @@ class ElevenLabsAPI {
    * @param {string} [options.modelId='eleven_multilingual_v2'] - Model ID
    * @param {number} [options.stability=0.5] - Voice stability (0-1)
    * @param {number} [options.similarityBoost=0.75] - Similarity boost (0-1)
+   * @param {number} [options.style] - Style exaggeration (0-1), for models that support it
+   * @param {boolean} [options.useSpeakerBoost] - Boost similarity to the original speaker
+   * @param {number} [options.speed] - Speaking rate (0.7-1.2, API default 1.0)
+   * @param {number} [options.seed] - Seed for repeatable output (0-4294967295)
+   * @param {string} [options.languageCode] - ISO 639-1 code to enforce a language (Turbo/Flash v2.5 models only)
+   * @param {string} [options.applyTextNormalization] - "auto" | "on" | "off"
+   * @param {Object[]} [options.pronunciationDictionaryLocators] - Dictionaries to apply
+   *   ({ pronunciation_dictionary_id, version_id }, max 3 used)
    * @param {string} [options.outputFormat='mp3_44100_128'] - Output format
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<ArrayBuffer>} Audio data as ArrayBuffer
    */
-  async generateSpeech({
+  async generateSpeech(options) {
+    const { audio } = await this.generateSpeechPart(options);
+    return audio;
+  }
+
+  /**
+   * Generate one part of a longer script, with request stitching context
+   * so prosody carries across part boundaries.
+   * Accepts the same options as generateSpeech(), plus:
+   * @param {Object} options
+   * @param {string} [options.previousText] - Text that comes before this part
+   * @param {string} [options.nextText] - Text that comes after this part
+   * @param {string[]} [options.previousRequestIds] - Request ids of preceding parts (max 3 used)
+   * @returns {Promise<Object>} { audio: ArrayBuffer, requestId: string|null }
+   */
+  async generateSpeechPart(options) {
+    const response = await this._speechRequest('', options);
+    return {
+      audio: await response.arrayBuffer(),
+      requestId: response.headers.get('request-id'),
+    };
+  }
+
+  /**
+   * Generate speech through the streaming endpoint, reporting audio as it arrives.
+   * The joined chunks are byte-for-byte what generateSpeech() would return.
+   * Accepts the same options as generateSpeech().
+   * @param {Object} options
+   * @param {Function} onChunk - (chunk: Uint8Array, receivedBytes: number) => void
+   * @returns {Promise<Object>} { audio: ArrayBuffer, requestId: string|null }
+   */
+  async generateSpeechStream(options, onChunk) {
+    const response = await this._speechRequest('/stream', options);
+    const reader = response.body.getReader();
+    const signal = options.signal;
+    const onAbort = () => reader.cancel().catch(() => {});
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    const chunks = [];
+    let received = 0;
+    try {
+      for (;;) {
+        let result;
+        try {
+          result = await this._readWithTimeout(reader);
+        } catch (err) {
+          if (signal && signal.aborted) throw cancelledError();
+          if (err instanceof ElevenLabsError) throw err;
+          throw new ElevenLabsError(`Speech stream interrupted after ${received} bytes`, { code: 'network' });
+        }
+        if (signal && signal.aborted) throw cancelledError();
+        if (result.done) break;
+
+        chunks.push(result.value);
+        received += result.value.length;
+        onChunk(result.value, received);
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    const audio = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return { audio: audio.buffer, requestId: response.headers.get('request-id') };
+  }
+
+  /**
+   * Read the next chunk of a response body, giving up if the stream stalls.
+   * @param {ReadableStreamDefaultReader} reader
+   * @returns {Promise<Object>} { done, value }
+   */
+  _readWithTimeout(reader) {
+    let timer;
+    const stalled = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // Reject before cancelling — cancel() ends the pending read as if the stream were done
+        reject(new ElevenLabsError(`Speech stream stalled for ${Math.round(this.timeout / 1000)}s`, { code: 'timeout' }));
+        reader.cancel().catch(() => {});
+      }, this.timeout);
+    });
+    return Promise.race([reader.read(), stalled]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Generate speech along with character-level timing.
+   * Accepts the same options as generateSpeechPart().
+   * @param {Object} options
+   * @returns {Promise<Object>} { audio: ArrayBuffer, alignment, requestId }
+   *   alignment = { characters, character_start_times_seconds, character_end_times_seconds }
+   */
+  async generateSpeechWithTimestamps(options) {
+    const response = await this._speechRequest('/with-timestamps', options);
+    const data = await response.json();
+    return {
+      audio: base64ToArrayBuffer(data.audio_base64),
+      alignment: data.alignment || null,
+      requestId: response.headers.get('request-id'),
+    };
+  }
+
+  /**
+   * POST to a text-to-speech endpoint.
+   * @param {string} suffix - Endpoint after the voice id ('', '/stream' or '/with-timestamps')
+   * @param {Object} options - See generateSpeechPart()
+   * @returns {Promise<Response>}
+   */
+  _speechRequest(suffix, options) {
+    const format = options.outputFormat || 'mp3_44100_128';
+    return this._request(`/text-to-speech/${options.voiceId}${suffix}?output_format=${format}`, {
+      method: 'POST',
+      body: this._speechBody(options),
+      signal: options.signal,
+      timeout: this.generationTimeout,
+      action: 'Speech generation',
+      stream: suffix === '/stream',
+    });
+  }
+
+  /**
+   * Validate speech options and build the text-to-speech request body.
+   * @param {Object} options - See generateSpeech() / generateSpeechPart()
+   * @returns {Object} Request body
+   */
+  _speechBody({
     text,
     voiceId,
     modelId = 'eleven_multilingual_v2',
     stability = 0.5,
     similarityBoost = 0.75,
-    outputFormat = 'mp3_44100_128',
+    style,
+    useSpeakerBoost,
+    speed,
+    seed,
+    languageCode,
+    applyTextNormalization,
+    pronunciationDictionaryLocators,
+    previousText,
+    nextText,
+    previousRequestIds,
   }) {
     if (!text || !text.trim()) {
       throw new Error('Text is required');
@@ -89,52 +593,220 @@ class ElevenLabsAPI {
       throw new Error('Voice is required');
     }
 
-    const response = await fetch(
-      `${API_BASE}/text-to-speech/${voiceId}?output_format=${outputFormat}`,
-      {
-        method: 'POST',
-        headers: this._headers(),
-        body: JSON.stringify({
-          text,
-          model_id: modelId,
-          voice_settings: {
-            stability,
-            similarity_boost: similarityBoost,
-          },
-        }),
-      }
-    );
+    const body = {
+      text,
+      model_id: modelId,
+      voice_settings: {
+        stability,
+        similarity_boost: similarityBoost,
+      },
+    };
+    if (style != null) body.voice_settings.style = style;
+    if (useSpeakerBoost != null) body.voice_settings.use_speaker_boost = useSpeakerBoost;
+    if (speed != null) body.voice_settings.speed = speed;
+    if (seed != null) body.seed = seed;
+    if (languageCode) body.language_code = languageCode;
+    if (applyTextNormalization) body.apply_text_normalization = applyTextNormalization;
+    if (pronunciationDictionaryLocators && pronunciationDictionaryLocators.length > 0) {
+      body.pronunciation_dictionary_locators = pronunciationDictionaryLocators.slice(0, MAX_DICTIONARY_LOCATORS);
+    }
+    if (previousText) body.previous_text = previousText;
+    if (nextText) body.next_text = nextText;
+    if (previousRequestIds && previousRequestIds.length > 0) {
+      body.previous_request_ids = previousRequestIds.slice(-3);
+    }
+    return body;
+  }
 
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(
-        err.detail?.message || `Speech generation failed (${response.status})`
-      );
+  /**
+   * Re-voice a recording with another voice, keeping its timing and delivery.
+   * @param {Object} options
+   * @param {Blob} options.audio - Recording to convert (WAV, MP3...)
+   * @param {string} options.voiceId - Voice to convert to
+   * @param {string} [options.modelId='eleven_multilingual_sts_v2'] - Speech-to-speech model
+   * @param {number} [options.stability=0.5] - Voice stability (0-1)
+   * @param {number} [options.similarityBoost=0.75] - Similarity boost (0-1)
+   * @param {number} [options.style] - Style exaggeration (0-1)
+   * @param {boolean} [options.useSpeakerBoost] - Boost similarity to the original speaker
+   * @param {number} [options.seed] - Seed for repeatable output (0-4294967295)
+   * @param {boolean} [options.removeBackgroundNoise=false] - Isolate the voice before converting
+   * @param {string} [options.outputFormat='mp3_44100_128'] - Output format
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<ArrayBuffer>} Converted audio
+   */
+  async convertSpeech({
+    audio,
+    voiceId,
+    modelId = 'eleven_multilingual_sts_v2',
+    stability = 0.5,
+    similarityBoost = 0.75,
+    style,
+    useSpeakerBoost,
+    seed,
+    removeBackgroundNoise = false,
+    outputFormat = 'mp3_44100_128',
+    signal,
+  }) {
+    if (!audio) {
+      throw new Error('Audio is required');
     }
+    if (!voiceId) {
+      throw new Error('Voice is required');
+    }
+
+    const voiceSettings = { stability, similarity_boost: similarityBoost };
+    if (style != null) voiceSettings.style = style;
+    if (useSpeakerBoost != null) voiceSettings.use_speaker_boost = useSpeakerBoost;
 
+    const form = new FormData();
+    form.append('audio', audio, 'audio.wav');
+    form.append('model_id', modelId);
+    form.append('voice_settings', JSON.stringify(voiceSettings));
+    form.append('remove_background_noise', String(removeBackgroundNoise));
+    if (seed != null) form.append('seed', String(seed));
+
+    const response = await this._request(`/speech-to-speech/${voiceId}?output_format=${outputFormat}`, {
+      method: 'POST',
+      body: form,
+      signal,
+      timeout: this.generationTimeout,
+      action: 'Voice conversion',
+    });
     return await response.arrayBuffer();
   }
 
   /**
-   * Get user subscription info (for quota checking and key validation).
-   * @returns {Promise<Object>} Subscription info
+   * Generate a sound effect from a description.
+   * @param {Object} options
+   * @param {string} options.text - What it should sound like ("fast airy whoosh")
+   * @param {number|null} [options.durationSeconds] - 0.5-30; null lets the model choose
+   * @param {number} [options.promptInfluence=0.3] - How literally to follow the text (0-1)
+   * @param {string} [options.outputFormat='mp3_44100_128'] - Output format
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<ArrayBuffer>} Audio data
    */
-  async getSubscription() {
-    const response = await fetch(`${API_BASE}/user/subscription`, {
-      method: 'GET',
-      headers: this._headers(),
+  async generateSoundEffect({ text, durationSeconds = null, promptInfluence = 0.3, outputFormat = 'mp3_44100_128', signal }) {
+    if (!text || !text.trim()) {
+      throw new Error('Description is required');
+    }
+
+    const body = { text, prompt_influence: promptInfluence };
+    if (durationSeconds != null) body.duration_seconds = durationSeconds;
+
+    const response = await this._request(`/sound-generation?output_format=${outputFormat}`, {
+      method: 'POST',
+      body,
+      signal,
+      timeout: this.generationTimeout,
+      action: 'Sound effect generation',
     });
+    return await response.arrayBuffer();
+  }
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Unauthorized — invalid API key (401)');
-      }
-      throw new Error(`Failed to fetch subscription (${response.status})`);
-    }
+  /**
+   * List the account's pronunciation dictionaries (all pages).
+   * @returns {Promise<Array>} [{ id, name, latest_version_id, description, ... }]
+   */
+  async getPronunciationDictionaries() {
+    const dictionaries = [];
+    let cursor = null;
+    do {
+      const query = `?page_size=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+      const response = await this._request(`/pronunciation-dictionaries${query}`, { action: 'Fetching pronunciation dictionaries' });
+      const data = await response.json();
+      dictionaries.push(...(data.pronunciation_dictionaries || []));
+      cursor = data.has_more ? data.next_cursor : null;
+    } while (cursor);
+    return dictionaries;
+  }
+
+  /**
+   * Get the rules of one version of a dictionary (downloaded as a PLS lexicon).
+   * @param {string} id - Dictionary id
+   * @param {string} versionId
+   * @returns {Promise<Array>} Rules, see parsePls()
+   */
+  async getPronunciationRules(id, versionId) {
+    const response = await this._request(`/pronunciation-dictionaries/${id}/${versionId}/download`, {
+      action: 'Fetching pronunciation rules',
+    });
+    return parsePls(await response.text());
+  }
+
+  /**
+   * Create a dictionary from rules.
+   * @param {string} name
+   * @param {Array} rules - { type: 'alias', word, alias } or
+   *   { type: 'phoneme', word, phoneme, alphabet: 'ipa' | 'cmu-arpabet' }
+   * @returns {Promise<Object>} { id, versionId }
+   */
+  async createPronunciationDictionary(name, rules) {
+    const response = await this._request('/pronunciation-dictionaries/add-from-rules', {
+      method: 'POST',
+      body: { name, rules: rules.map(pronunciationRuleBody) },
+      action: 'Creating pronunciation dictionary',
+      idempotent: false,
+    });
+    const data = await response.json();
+    return { id: data.id, versionId: data.version_id };
+  }
+
+  /**
+   * Replace all rules of a dictionary, creating a new version.
+   * @param {string} id - Dictionary id
+   * @param {Array} rules - See createPronunciationDictionary()
+   * @returns {Promise<Object>} { id, versionId }
+   */
+  async setPronunciationRules(id, rules) {
+    const response = await this._request(`/pronunciation-dictionaries/${id}/set-rules`, {
+      method: 'POST',
+      body: { rules: rules.map(pronunciationRuleBody) },
+      action: 'Updating pronunciation rules',
+    });
+    const data = await response.json();
+    return { id: data.id, versionId: data.version_id };
+  }
 
+  /**
+   * Rename a dictionary.
+   * @param {string} id - Dictionary id
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async renamePronunciationDictionary(id, name) {
+    await this._request(`/pronunciation-dictionaries/${id}`, {
+      method: 'PATCH',
+      body: { name },
+      action: 'Renaming pronunciation dictionary',
+    });
+  }
+
+  /**
+   * Get user subscription info (for quota checking and key validation).
+   * @returns {Promise<Object>} Subscription info
+   */
+  async getSubscription() {
+    const response = await this._request('/user/subscription', { action: 'Fetching subscription' });
     return await response.json();
   }
 
+  /**
+   * Character usage for the current billing period.
+   * @returns {Promise<Object>} { tier, used, limit, remaining, resetsAt (Date|null) }
+   */
+  async getUsage() {
+    const sub = await this.getSubscription();
+    const used = sub.character_count || 0;
+    const limit = sub.character_limit || 0;
+    return {
+      tier: sub.tier || '',
+      used,
+      limit,
+      remaining: Math.max(limit - used, 0),
+      resetsAt: sub.next_character_count_reset_unix ? new Date(sub.next_character_count_reset_unix * 1000) : null,
+    };
+  }
+
   /**
    * Validate API key by fetching voices (works with any permission level).
    * Falls back from /user/subscription to /voices if subscription requires higher perms.
@@ -147,15 +819,16 @@ class ElevenLabsAPI {
       return { tier: sub.tier || 'ElevenLabs user', voiceCount: null };
     } catch (subErr) {
       // If it's a permissions issue (not an auth issue), try voices instead
-      if (subErr.message.includes('401') || subErr.message.includes('Unauthorized')) {
+      if (subErr.status === 401) {
         // Could be truly invalid OR just missing user_read permission
         // Try voices endpoint to confirm key validity
         try {
           const voices = await this.getVoices();
           return { tier: 'ElevenLabs user', voiceCount: voices.length };
         } catch (voicesErr) {
+          if (voicesErr.status !== 401) throw voicesErr;
           // If voices also fails with 401, key is truly invalid
-          throw new Error('Unauthorized — invalid API key (401)');
+          throw new ElevenLabsError('Unauthorized — invalid API key', { status: 401, code: 'invalid_api_key' });
         }
       }
       throw subErr;
@@ -163,5 +836,72 @@ class ElevenLabsAPI {
   }
 }
 
+/**
+ * @param {string|null} value - Retry-After header: seconds, or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null when absent/unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * @param {ElevenLabsError} error
+ * @returns {boolean} True if the server refused the request without acting on it
+ */
+function wasTurnedAway(error) {
+  return error.status === 429 || RETRYABLE_CODES.includes(error.code);
+}
+
+function cancelledError() {
+  return new ElevenLabsError('Cancelled', { code: 'cancelled' });
+}
+
+/**
+ * Wait, unless the signal aborts first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Rejects with a cancelled ElevenLabsError on abort
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @param {Object} rule - Panel rule ({ type, word, alias } / { type, word, phoneme, alphabet })
+ * @returns {Object} Rule as the API expects it
+ */
+function pronunciationRuleBody(rule) {
+  if (rule.type === 'phoneme') {
+    return { type: 'phoneme', string_to_replace: rule.word, phoneme: rule.phoneme, alphabet: rule.alphabet || 'ipa' };
+  }
+  return { type: 'alias', string_to_replace: rule.word, alias: rule.alias };
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64 || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
 // Global singleton
 const elevenLabsAPI = new ElevenLabsAPI();
@@ -0,0 +1,156 @@
+/**
+ * Job Queue (CEP version)
+ * Runs a list of jobs through an async worker with limited concurrency,
+ * with pause / resume / cancel and retries for failed jobs.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+class JobQueue {
+  /**
+   * @param {Function} worker - async (item, job) => result; throw to fail the job
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=1] - Jobs run at the same time
+   * @param {number} [options.retries=0] - Extra attempts before a job is marked failed
+   * @param {Function} [options.onUpdate] - Called with the job whenever a status changes
+   */
+  constructor(worker, { concurrency = 1, retries = 0, onUpdate = () => {} } = {}) {
+    this.worker = worker;
+    this.concurrency = Math.max(1, concurrency);
+    this.retries = retries;
+    this.onUpdate = onUpdate;
+    this.jobs = [];
+    this.state = 'idle';  // idle | running | paused | cancelled
+    this._active = 0;
+    this._resolveIdle = null;
+    this._idle = null;
+  }
+
+  /**
+   * Queue items; each becomes a job { item, status, attempts, error, result }.
+   * Status is pending | running | done | failed | cancelled.
+   * @param {Array} items
+   */
+  add(items) {
+    items.forEach(item => {
+      this.jobs.push({ item, status: 'pending', attempts: 0, error: null, result: null });
+    });
+    this.onUpdate(null);
+  }
+
+  /**
+   * Run pending jobs.
+   * @returns {Promise<Object>} Resolves when nothing is left to run (or after cancel)
+   *   with { done, failed, cancelled } counts
+   */
+  start() {
+    if (this._idle) {
+      if (this.state === 'paused') this.resume();
+      return this._idle;
+    }
+
+    this.state = 'running';
+    this._idle = new Promise(resolve => { this._resolveIdle = resolve; });
+    this.onUpdate(null);
+    this._pump();
+    return this._idle;
+  }
+
+  /** Let running jobs finish but start no new ones. */
+  pause() {
+    if (this.state !== 'running') return;
+    this.state = 'paused';
+    this.onUpdate(null);
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.state = 'running';
+    this.onUpdate(null);
+    this._pump();
+  }
+
+  /** Drop pending jobs; jobs already running are allowed to finish. */
+  cancel() {
+    if (!this._idle) return;
+    this.jobs.forEach(job => {
+      if (job.status === 'pending') job.status = 'cancelled';
+    });
+    this.state = 'cancelled';
+    this.onUpdate(null);
+    this._settle();
+  }
+
+  /**
+   * Queue failed and cancelled jobs again and run them.
+   * @returns {Promise<Object>} Same as start()
+   */
+  retryFailed() {
+    this.jobs.forEach(job => {
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        job.status = 'pending';
+        job.attempts = 0;
+        job.error = null;
+      }
+    });
+    return this.start();
+  }
+
+  /**
+   * @returns {Object} Job count per status
+   */
+  counts() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    this.jobs.forEach(job => { counts[job.status]++; });
+    return counts;
+  }
+
+  _pump() {
+    while (this.state === 'running' && this._active < this.concurrency) {
+      const job = this.jobs.find(j => j.status === 'pending');
+      if (!job) break;
+      this._run(job);
+    }
+    this._settle();
+  }
+
+  async _run(job) {
+    job.status = 'running';
+    job.attempts++;
+    this._active++;
+    this.onUpdate(job);
+
+    try {
+      job.result = await this.worker(job.item, job);
+      job.error = null;
+      job.status = 'done';
+    } catch (err) {
+      job.error = err;
+      if (this.state === 'cancelled') {
+        // Most likely aborted by the cancel — either way it's not worth retrying now
+        job.status = 'cancelled';
+      } else {
+        job.status = job.attempts <= this.retries ? 'pending' : 'failed';
+      }
+    }
+
+    this._active--;
+    this.onUpdate(job);
+    this._pump();
+  }
+
+  // Resolve start() once nothing is running and nothing more will start
+  _settle() {
+    if (!this._resolveIdle || this._active > 0) return;
+    if (this.state === 'paused') return;
+    if (this.state === 'running' && this.jobs.some(j => j.status === 'pending')) return;
+
+    const { done, failed, cancelled } = this.counts();
+    const resolve = this._resolveIdle;
+    this._resolveIdle = null;
+    this._idle = null;
+    this.state = 'idle';
+    this.onUpdate(null);
+    resolve({ done, failed, cancelled });
+  }
+}
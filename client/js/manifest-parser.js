@@ -0,0 +1,175 @@
+/**
+ * Batch Manifest Parser (CEP version)
+ * Reads a batch of narration lines from a CSV or JSON file
+ * (id, text, voice, preset, track, time) into rows for the job queue.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+// Accepted column names for each field (matched case-insensitively)
+const MANIFEST_COLUMNS = {
+  id: ['id', 'line', 'line_id'],
+  text: ['text', 'script', 'narration'],
+  voice: ['voice', 'voice_id', 'voice_name'],
+  preset: ['preset'],
+  track: ['track', 'audio_track'],
+  time: ['time', 'start', 'start_time'],
+};
+
+/**
+ * Parse a manifest file.
+ * Rows without text are reported and skipped; rows without an id get their row number.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to pick the format (".json" → JSON, otherwise CSV)
+ * @returns {Object} { rows: [{ id, text, voice, preset, track, time }], errors: string[] }
+ *   track is a 0-based audio track index, time is in seconds (both null when not given)
+ */
+function parseManifest(text, fileName = '') {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(source);
+  const records = isJson ? parseJsonRecords(source) : parseCsvRecords(source);
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const rowNumber = index + 1;
+    const field = name => manifestField(record, name);
+
+    const rowText = field('text').trim();
+    if (!rowText) {
+      errors.push(`Row ${rowNumber}: no text`);
+      return;
+    }
+
+    const id = field('id').trim() || String(rowNumber).padStart(3, '0');
+    if (seen.has(id.toLowerCase())) {
+      errors.push(`Row ${rowNumber}: duplicate id "${id}"`);
+      return;
+    }
+    seen.add(id.toLowerCase());
+
+    const track = parseTrack(field('track'));
+    const time = parseTime(field('time'));
+    if (track === undefined) errors.push(`Row ${rowNumber}: unreadable track "${field('track')}"`);
+    if (time === undefined) errors.push(`Row ${rowNumber}: unreadable time "${field('time')}"`);
+
+    rows.push({
+      id,
+      text: rowText,
+      voice: field('voice').trim(),
+      preset: field('preset').trim(),
+      track: track === undefined ? null : track,
+      time: time === undefined ? null : time,
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * @param {string} source - JSON array of objects, or { rows: [...] } / { lines: [...] }
+ * @returns {Object[]}
+ */
+function parseJsonRecords(source) {
+  const data = JSON.parse(source);
+  const records = Array.isArray(data) ? data : (data && (data.rows || data.lines));
+  if (!Array.isArray(records)) {
+    throw new Error('JSON manifest must be an array of rows (or { "rows": [...] })');
+  }
+  return records.filter(r => r && typeof r === 'object');
+}
+
+/**
+ * Parse CSV with a header row. Handles quoted fields, doubled quotes,
+ * line breaks inside quotes, and semicolon-separated exports.
+ * @param {string} source
+ * @returns {Object[]} One object per data row, keyed by header
+ */
+function parseCsvRecords(source) {
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const table = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      table.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    table.push(row);
+  }
+
+  const [header, ...body] = table.filter(r => r.some(c => c.trim()));
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return body.map(cells => {
+    const record = {};
+    keys.forEach((key, i) => { record[key] = cells[i] !== undefined ? cells[i] : ''; });
+    return record;
+  });
+}
+
+/**
+ * Look up a field by any of its accepted column names.
+ * @param {Object} record
+ * @param {string} name - Key of MANIFEST_COLUMNS
+ * @returns {string} Value as a string ('' when missing)
+ */
+function manifestField(record, name) {
+  const aliases = MANIFEST_COLUMNS[name];
+  const key = Object.keys(record).find(k => aliases.includes(k.trim().toLowerCase()));
+  const value = key !== undefined ? record[key] : null;
+  return value == null ? '' : String(value);
+}
+
+/**
+ * @param {string} value - 1-based track number ("2") or track name ("A2")
+ * @returns {number|null|undefined} 0-based index, null when blank, undefined when unreadable
+ */
+function parseTrack(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  const match = /^a?(\d+)$/i.exec(trimmed);
+  if (!match || parseInt(match[1], 10) < 1) return undefined;
+  return parseInt(match[1], 10) - 1;
+}
+
+/**
+ * @param {string} value - Seconds ("12.5") or clock time ("1:02.5", "0:01:02.5")
+ * @returns {number|null|undefined} Seconds, null when blank, undefined when unreadable
+ */
+function parseTime(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(trimmed)) return undefined;
+  return trimmed.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
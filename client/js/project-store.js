@@ -0,0 +1,145 @@
+/**
+ * Project Store (CEP version)
+ * Keeps panel metadata (takes, library, ...) as JSON files in the project's
+ * Voiceovers/ folder so it travels with the project and survives restarts.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ * Uses Node.js fs when available, otherwise falls back to localStorage.
+ */
+
+class ProjectStore {
+  /**
+   * @param {string} fileName - File name inside the metadata folder (e.g. "takes.json")
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.directory = null;
+
+    try {
+      this._fs = require('fs');
+      this._path = require('path');
+    } catch (e) {
+      this._fs = null;
+      this._path = null;
+    }
+  }
+
+  /**
+   * Point the store at a folder (the project's Voiceovers/ folder, or a per-user folder).
+   * @param {string|null} directory
+   */
+  setDirectory(directory) {
+    this.directory = directory || null;
+  }
+
+  /**
+   * @returns {string|null} Absolute path of the backing file, or null when using localStorage
+   */
+  get filePath() {
+    if (!this._fs || !this.directory) return null;
+    return this._path.join(this.directory, this.fileName);
+  }
+
+  _ensureDirectory() {
+    if (!this._fs.existsSync(this.directory)) {
+      this._fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  _storageKey() {
+    return `elevenlabs_store_${this.directory || 'default'}_${this.fileName}`;
+  }
+
+  /**
+   * Read the raw file contents.
+   * @returns {string|null}
+   */
+  readText() {
+    try {
+      const file = this.filePath;
+      if (file) {
+        return this._fs.existsSync(file) ? this._fs.readFileSync(file, 'utf8') : null;
+      }
+      return localStorage.getItem(this._storageKey());
+    } catch (e) {
+      console.warn(`Could not read ${this.fileName}:`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the file contents.
+   * @param {string} text
+   */
+  writeText(text) {
+    const file = this.filePath;
+    if (file) {
+      this._ensureDirectory();
+      this._fs.writeFileSync(file, text, 'utf8');
+    } else {
+      localStorage.setItem(this._storageKey(), text);
+    }
+  }
+
+  /**
+   * @param {*} fallback - Returned when the file is missing or unreadable
+   * @returns {*} Parsed JSON
+   */
+  load(fallback) {
+    const text = this.readText();
+    if (!text) return fallback;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      console.warn(`Ignoring malformed ${this.fileName}:`, e.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * @param {*} data - Serialized as pretty-printed JSON
+   */
+  save(data) {
+    this.writeText(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Read a newline-delimited JSON file (one record per line).
+   * Malformed lines — e.g. a write cut short by a crash — are skipped.
+   * @returns {Array} Records in file order
+   */
+  loadLines() {
+    const records = [];
+    for (const line of (this.readText() || '').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        console.warn(`Skipping malformed line in ${this.fileName}`);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Add one record to the end of a newline-delimited JSON file.
+   * @param {Object} record
+   */
+  appendLine(record) {
+    const file = this.filePath;
+    if (file) {
+      this._ensureDirectory();
+      this._fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+    } else {
+      this.writeText((this.readText() || '') + JSON.stringify(record) + '\n');
+    }
+  }
+
+  /**
+   * Rewrite a newline-delimited JSON file (e.g. after removing records).
+   * @param {Array} records
+   */
+  saveLines(records) {
+    this.writeText(records.map(r => JSON.stringify(r) + '\n').join(''));
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Pronunciation Rules (CEP version)
+ * Reads pronunciation dictionaries downloaded as PLS lexicons, and applies
+ * their alias rules to script text for models that can't use dictionaries
+ * server-side.
+ *
+ * Rules use the panel's shape:
+ *   { type: 'alias', word, alias }
+ *   { type: 'phoneme', word, phoneme, alphabet: 'ipa' | 'cmu-arpabet' }
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+/**
+ * Parse a PLS (Pronunciation Lexicon Specification) document.
+ * A lexeme with several graphemes becomes one rule per grapheme.
+ * @param {string} xml
+ * @returns {Array} Rules, in document order
+ */
+function parsePls(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Pronunciation dictionary is not a readable PLS file');
+  }
+
+  const lexiconAlphabet = doc.documentElement.getAttribute('alphabet') || 'ipa';
+  const rules = [];
+  Array.from(doc.getElementsByTagName('lexeme')).forEach(lexeme => {
+    const alias = lexeme.getElementsByTagName('alias')[0];
+    const phoneme = lexeme.getElementsByTagName('phoneme')[0];
+    Array.from(lexeme.getElementsByTagName('grapheme')).forEach(grapheme => {
+      const word = grapheme.textContent.trim();
+      if (!word) return;
+      if (alias) {
+        rules.push({ type: 'alias', word, alias: alias.textContent.trim() });
+      } else if (phoneme) {
+        rules.push({
+          type: 'phoneme',
+          word,
+          phoneme: phoneme.textContent.trim(),
+          alphabet: plsAlphabet(phoneme.getAttribute('alphabet') || lexiconAlphabet),
+        });
+      }
+    });
+  });
+  return rules;
+}
+
+/**
+ * @param {string} value - PLS alphabet attribute ("ipa", "x-cmu-arpabet"...)
+ * @returns {string} 'ipa' | 'cmu-arpabet'
+ */
+function plsAlphabet(value) {
+  return /cmu/i.test(value) ? 'cmu-arpabet' : 'ipa';
+}
+
+/**
+ * Replace whole-word, case-sensitive matches of alias rules, the way the
+ * server applies them. Longer words win over shorter ones they contain,
+ * and replaced text is never matched again. Phoneme rules are ignored.
+ * @param {string} text
+ * @param {Array} rules
+ * @returns {string}
+ */
+function applyAliases(text, rules) {
+  const aliases = new Map();
+  rules.forEach(rule => {
+    if (rule.type === 'alias' && rule.word && !aliases.has(rule.word)) {
+      aliases.set(rule.word, rule.alias || '');
+    }
+  });
+  if (aliases.size === 0) return text;
+
+  const words = Array.from(aliases.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+  return text.replace(pattern, match => aliases.get(match));
+}
+
+/**
+ * @param {Object} rule
+ * @returns {boolean} True if the rule has everything the API needs
+ */
+function isCompleteRule(rule) {
+  if (!rule.word || !rule.word.trim()) return false;
+  return rule.type === 'phoneme' ? !!(rule.phoneme && rule.phoneme.trim()) : !!(rule.alias && rule.alias.trim());
+}
@@ -0,0 +1,98 @@
+/**
+ * Script Chunker (CEP version)
+ * Splits long scripts into request-sized parts at natural boundaries
+ * so they can be generated separately and stitched back together.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+// Sentence = text up to terminal punctuation plus any closing quotes/brackets
+const SENTENCE_PATTERN = /[^.!?…]*[.!?…]+["'”’)\]]*\s*|[^.!?…]+$/g;
+
+/**
+ * Split a script into parts no longer than maxChars.
+ * Prefers paragraph breaks, then sentence ends, then word boundaries.
+ * @param {string} text - Full script
+ * @param {number} maxChars - Maximum characters per part
+ * @returns {string[]} Parts in reading order
+ */
+function splitScript(text, maxChars) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+  if (trimmed.length <= maxChars) return [trimmed];
+
+  const paragraphs = trimmed.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  const append = (piece, separator) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.length <= maxChars) {
+      current += separator + piece;
+    } else {
+      flush();
+      current = piece;
+    }
+  };
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= maxChars) {
+      append(paragraph, '\n\n');
+      continue;
+    }
+
+    // Paragraph too long on its own — fall back to sentences
+    let separator = '\n\n';
+    for (const sentence of splitSentences(paragraph)) {
+      if (sentence.length <= maxChars) {
+        append(sentence, separator);
+      } else {
+        for (const piece of splitWords(sentence, maxChars)) {
+          append(piece, separator);
+          separator = ' ';
+        }
+      }
+      separator = ' ';
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Split a paragraph into sentences, keeping their punctuation.
+ * @param {string} paragraph
+ * @returns {string[]}
+ */
+function splitSentences(paragraph) {
+  const sentences = paragraph.match(SENTENCE_PATTERN) || [paragraph];
+  return sentences.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Last resort for run-on sentences: break at the last space before the limit.
+ * @param {string} sentence
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitWords(sentence, maxChars) {
+  const pieces = [];
+  let rest = sentence;
+
+  while (rest.length > maxChars) {
+    let cut = rest.lastIndexOf(' ', maxChars);
+    if (cut <= 0) cut = maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+
+  return pieces;
+}
@@ -0,0 +1,131 @@
+/**
+ * Stream Player (CEP version)
+ * Plays audio while it is still being received from the streaming endpoint.
+ * MP3 is fed to an <audio> element through MediaSource; raw PCM is converted
+ * chunk by chunk and scheduled back to back with the Web Audio API.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ */
+
+// Lead time before the first PCM chunk plays, so the next chunk can arrive
+const PCM_START_DELAY = 0.15;
+
+class StreamPlayer {
+  /**
+   * @param {string} format - Output format of the stream (mp3_* or pcm_*)
+   * @returns {boolean} True if this format can be played while streaming
+   */
+  static supports(format) {
+    if (isPcmFormat(format)) {
+      return typeof AudioContext !== 'undefined';
+    }
+    return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported('audio/mpeg');
+  }
+
+  /**
+   * @param {string} format - Output format of the stream
+   */
+  constructor(format) {
+    this.format = format;
+    this.stopped = false;
+
+    if (isPcmFormat(format)) {
+      this._context = new AudioContext();
+      this._sampleRate = pcmSampleRate(format);
+      this._nextTime = 0;
+      this._leftover = null;  // odd trailing byte of a chunk, completed by the next one
+    } else {
+      this._queue = [];
+      this._ended = false;
+      this._sourceBuffer = null;
+      this._mediaSource = new MediaSource();
+      this._audio = new Audio();
+      this._audio.src = URL.createObjectURL(this._mediaSource);
+      this._mediaSource.addEventListener('sourceopen', () => {
+        this._sourceBuffer = this._mediaSource.addSourceBuffer('audio/mpeg');
+        this._sourceBuffer.addEventListener('updateend', () => this._flush());
+        this._flush();
+      }, { once: true });
+    }
+  }
+
+  /**
+   * Add received bytes; playback starts with the first chunk.
+   * @param {Uint8Array} chunk
+   */
+  push(chunk) {
+    if (this.stopped || chunk.length === 0) return;
+    if (this._context) {
+      this._schedulePcm(chunk);
+    } else {
+      this._queue.push(chunk);
+      this._flush();
+    }
+  }
+
+  /** No more data is coming — let playback run to the end. */
+  end() {
+    if (this._context || this.stopped) return;
+    this._ended = true;
+    this._flush();
+  }
+
+  /** Stop playback and release the audio resources. */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    if (this._context) {
+      this._context.close().catch(() => {});
+    } else {
+      this._audio.pause();
+      URL.revokeObjectURL(this._audio.src);
+    }
+  }
+
+  // Append queued MP3 chunks one at a time (a SourceBuffer takes one append at once)
+  _flush() {
+    const buffer = this._sourceBuffer;
+    if (this.stopped || !buffer || buffer.updating) return;
+
+    if (this._queue.length > 0) {
+      try {
+        buffer.appendBuffer(this._queue.shift());
+      } catch (err) {
+        console.warn('Stream playback stopped:', err.message);
+        this.stop();
+        return;
+      }
+      if (this._audio.paused) this._audio.play().catch(() => {});
+    } else if (this._ended && this._mediaSource.readyState === 'open') {
+      this._mediaSource.endOfStream();
+    }
+  }
+
+  _schedulePcm(chunk) {
+    let bytes = chunk;
+    if (this._leftover !== null) {
+      bytes = new Uint8Array(chunk.length + 1);
+      bytes[0] = this._leftover;
+      bytes.set(chunk, 1);
+      this._leftover = null;
+    }
+    if (bytes.length % 2 === 1) {
+      this._leftover = bytes[bytes.length - 1];
+      bytes = bytes.subarray(0, bytes.length - 1);
+    }
+    if (bytes.length === 0) return;
+
+    const samples = pcm16ToFloat(bytes.slice().buffer);
+    const audioBuffer = this._context.createBuffer(1, samples.length, this._sampleRate);
+    audioBuffer.getChannelData(0).set(samples);
+
+    const source = this._context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(this._context.destination);
+
+    const now = this._context.currentTime;
+    if (this._nextTime < now) this._nextTime = now + PCM_START_DELAY;
+    source.start(this._nextTime);
+    this._nextTime += audioBuffer.duration;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * WAV Encoder (CEP version)
+ * Wraps the headerless PCM returned by the pcm_* output formats in a proper
+ * RIFF/WAVE container, with optional 24-bit and resampled variants.
+ *
+ * No module.exports — this is loaded via <script> tag in the CEP panel.
+ * ElevenLabs PCM is always 16-bit signed little-endian mono.
+ */
+
+const WAV_HEADER_SIZE = 44;
+const PCM_SOURCE_BIT_DEPTH = 16;
+
+/**
+ * Read the sample rate from an output format string.
+ * @param {string} format - Output format (e.g. "pcm_44100")
+ * @returns {number|null} Sample rate in Hz, or null for non-PCM formats
+ */
+function pcmSampleRate(format) {
+  const match = /^pcm_(\d+)$/.exec(format || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * @param {string} format - Output format
+ * @returns {boolean} True if the API returns raw PCM for this format
+ */
+function isPcmFormat(format) {
+  return pcmSampleRate(format) !== null;
+}
+
+/**
+ * Encode raw API PCM into a WAV file.
+ * With the default options the samples are copied untouched behind a header.
+ * @param {ArrayBuffer} pcm - 16-bit mono PCM as returned by generateSpeech
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate of the PCM data
+ * @param {number} [options.bitDepth=16] - Output bit depth (16 or 24)
+ * @param {number} [options.targetSampleRate] - Resample to this rate before writing
+ * @returns {ArrayBuffer} Complete WAV file
+ */
+function encodeWav(pcm, { sampleRate, bitDepth = 16, targetSampleRate = sampleRate }) {
+  if (!sampleRate) {
+    throw new Error('Sample rate is required to write a WAV file');
+  }
+
+  if (bitDepth === PCM_SOURCE_BIT_DEPTH && targetSampleRate === sampleRate) {
+    const bytes = new Uint8Array(pcm, 0, pcm.byteLength - (pcm.byteLength % 2));
+    const out = new Uint8Array(WAV_HEADER_SIZE + bytes.length);
+    writeWavHeader(new DataView(out.buffer), bytes.length, sampleRate, bitDepth, 1);
+    out.set(bytes, WAV_HEADER_SIZE);
+    return out.buffer;
+  }
+
+  let samples = pcm16ToFloat(pcm);
+  if (targetSampleRate !== sampleRate) {
+    samples = resample(samples, sampleRate, targetSampleRate);
+  }
+  return encodeWavFromFloat([samples], targetSampleRate, bitDepth);
+}
+
+/**
+ * Encode floating-point channels (-1..1) into a WAV file.
+ * @param {Float32Array[]} channels - One array per channel, equal lengths
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [bitDepth=16] - 16 or 24
+ * @returns {ArrayBuffer} Complete WAV file
+ */
+function encodeWavFromFloat(channels, sampleRate, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const numChannels = channels.length;
+  const frames = numChannels > 0 ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const dataLength = frames * numChannels * bytesPerSample;
+
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataLength);
+  const view = new DataView(buffer);
+  writeWavHeader(view, dataLength, sampleRate, bitDepth, numChannels);
+
+  let offset = WAV_HEADER_SIZE;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+      if (bitDepth === 16) {
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      } else {
+        const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+        view.setUint8(offset, v & 0xff);
+        view.setUint8(offset + 1, (v >> 8) & 0xff);
+        view.setUint8(offset + 2, (v >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Write a canonical 44-byte PCM WAVE header.
+ * @param {DataView} view - View over the start of the output buffer
+ * @param {number} dataLength - Size of the sample data in bytes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitDepth - Bits per sample
+ * @param {number} numChannels - Channel count
+ */
+function writeWavHeader(view, dataLength, sampleRate, bitDepth, numChannels) {
+  const blockAlign = numChannels * (bitDepth / 8);
+
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeAscii(view, 8, 'WAVE');
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);              // fmt chunk size
+  view.setUint16(20, 1, true);               // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeAscii(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+}
+
+/**
+ * Duration of a WAV file written by this encoder.
+ * @param {ArrayBuffer} wav - Complete file contents (44-byte header)
+ * @returns {number} Duration in seconds
+ */
+function wavDuration(wav) {
+  const view = new DataView(wav);
+  const byteRate = view.getUint32(28, true);
+  return byteRate > 0 ? view.getUint32(40, true) / byteRate : 0;
+}
+
+function writeAscii(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
+
+/**
+ * Convert 16-bit little-endian PCM to floats.
+ * @param {ArrayBuffer} pcm
+ * @returns {Float32Array}
+ */
+function pcm16ToFloat(pcm) {
+  const count = Math.floor(pcm.byteLength / 2);
+  const view = new DataView(pcm, 0, count * 2);
+  const out = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    out[i] = view.getInt16(i * 2, true) / 0x8000;
+  }
+  return out;
+}
+
+/**
+ * Band-limited resampling with a Hann-windowed sinc kernel.
+ * Good enough for speech going to 48 kHz broadcast deliverables.
+ * @param {Float32Array} input
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+function resample(input, fromRate, toRate) {
+  if (fromRate === toRate) return input;
+
+  const HALF_TAPS = 16;
+  const ratio = toRate / fromRate;
+  const cutoff = Math.min(1, ratio);
+  const outLength = Math.round(input.length * ratio);
+  const out = new Float32Array(outLength);
+
+  for (let i = 0; i < outLength; i++) {
+    const center = i / ratio;
+    const first = Math.floor(center) - HALF_TAPS + 1;
+    let sum = 0;
+    let weightSum = 0;
+
+    for (let j = first; j < first + HALF_TAPS * 2; j++) {
+      if (j < 0 || j >= input.length) continue;
+      const x = (j - center) * cutoff;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const taper = 0.5 + 0.5 * Math.cos(Math.PI * (j - center) / HALF_TAPS);
+      const w = sinc * taper;
+      sum += input[j] * w;
+      weightSum += w;
+    }
+
+    out[i] = weightSum > 0 ? sum / weightSum : 0;
+  }
+
+  return out;
+}
@@ -5,12 +5,24 @@
  * Called from the CEP panel via CSInterface.evalScript().
  *
  * Functions:
- *   importFile(filePath)                    — Import audio into Voiceovers bin
- *   importAndInsert(filePath, trackIndex)   — Import + insert at playhead
+ *   saveAudioFile(base64, fileName, ext, sampleRate, folderName) — Write audio next to the project
+ *   importFile(filePath, subBinName, rootBinName) — Import audio into Voiceovers bin (or a bin inside it)
+ *   importAndInsert(filePath, trackIndex, options) — Import + insert/overwrite/replace on the timeline
+ *   swapTake(takePaths, newPath)            — Replace placed takes of a line with another take
+ *   insertDialogue(clips, gapSeconds)       — Lay out dialogue lines, one track per speaker
+ *   importCaptions(captionPath, startSec)   — Add an SRT as a caption track at a given time
+ *   getSelectedAudioClip()                  — Media path, in/out and position of the selected audio clip
+ *   getSelectedProjectMedia()               — Media paths of the items selected in the Project panel
  *   getAudioTracks()                        — List audio tracks in active sequence
+ *   getSequenceMarkers()                    — List markers in active sequence
+ *   getSequenceInOut()                      — Get the active sequence's in/out range
  *   getProjectPath()                        — Get project directory path
  */
 
+// Default project folder and bin for generated audio (sound effects use "SFX")
+var VOICEOVER_FOLDER = "Voiceovers";
+
+
 // ─── File Saving ───────────────────────────────────────────────────────────
 
 /**
@@ -18,9 +30,11 @@
  * @param {string} base64Data — Base64-encoded audio data
  * @param {string} fileName — Desired filename (e.g., "VO_Roger_2026-02-04.mp3")
  * @param {string} ext — File extension without dot ("mp3" or "wav")
+ * @param {number} [sampleRate] — PCM sample rate, used when "wav" data arrives without a RIFF header
+ * @param {string} [folderName="Voiceovers"] — Folder next to the project to save in
  * @returns {string} JSON: {success, path} or {error}
  */
-function saveAudioFile(base64Data, fileName, ext) {
+function saveAudioFile(base64Data, fileName, ext, sampleRate, folderName) {
     try {
         var savePath = "";
 
@@ -28,7 +42,7 @@ function saveAudioFile(base64Data, fileName, ext) {
         var project = app.project;
         if (project && project.path) {
             var projectDir = project.path.replace(/[^\/\\]*$/, "");
-            var voDir = projectDir + "Voiceovers";
+            var voDir = projectDir + (folderName || VOICEOVER_FOLDER);
             var voFolder = new Folder(voDir);
             if (!voFolder.exists) voFolder.create();
             savePath = voDir + "/" + fileName;
@@ -48,6 +62,19 @@ function saveAudioFile(base64Data, fileName, ext) {
 
         // Decode base64 to binary string
         var raw = _base64Decode(base64Data);
+
+        // Raw API PCM needs a RIFF header or Premiere won't import it
+        if (ext === "wav" && raw.substr(0, 4) !== "RIFF") {
+            var rate = parseInt(sampleRate, 10);
+            if (isNaN(rate) || rate <= 0) {
+                file.close();
+                return JSON.stringify({error: "Missing sample rate for raw PCM data"});
+            }
+            // 16-bit samples — an odd trailing byte isn't a whole sample, so leave it out
+            var dataLength = raw.length - (raw.length % 2);
+            raw = _wavHeader(dataLength, rate, 16, 1) + raw.substr(0, dataLength);
+        }
+
         file.write(raw);
         file.close();
 
@@ -58,6 +85,31 @@ function saveAudioFile(base64Data, fileName, ext) {
     }
 }
 
+/**
+ * Build a 44-byte PCM WAVE header as a binary string.
+ * @param {number} dataLength — Size of the sample data in bytes
+ * @param {number} sampleRate — Sample rate in Hz
+ * @param {number} bitDepth — Bits per sample
+ * @param {number} numChannels — Channel count
+ * @returns {string} Header bytes
+ */
+function _wavHeader(dataLength, sampleRate, bitDepth, numChannels) {
+    var blockAlign = numChannels * (bitDepth / 8);
+    return "RIFF" + _uint32LE(36 + dataLength) + "WAVE" +
+        "fmt " + _uint32LE(16) + _uint16LE(1) + _uint16LE(numChannels) +
+        _uint32LE(sampleRate) + _uint32LE(sampleRate * blockAlign) +
+        _uint16LE(blockAlign) + _uint16LE(bitDepth) +
+        "data" + _uint32LE(dataLength);
+}
+
+function _uint16LE(n) {
+    return String.fromCharCode(n & 0xFF, (n >> 8) & 0xFF);
+}
+
+function _uint32LE(n) {
+    return String.fromCharCode(n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, (n >>> 24) & 0xFF);
+}
+
 /**
  * Base64 decode helper for ExtendScript (no atob available).
  */
@@ -93,30 +145,79 @@ function _base64Decode(input) {
 // ─── Bin Management ────────────────────────────────────────────────────────
 
 /**
- * Find or create a "Voiceovers" bin in the project root.
- * @returns {Object} The Voiceovers bin (ProjectItem), or null
+ * Find or create a bin in the project root for generated audio.
+ * @param {string} [name="Voiceovers"] — Bin name
+ * @returns {Object} The bin (ProjectItem), or null
  */
-function _getOrCreateVoiceoverBin() {
+function _getOrCreateRootBin(name) {
     var project = app.project;
     if (!project) return null;
 
+    var binName = name || VOICEOVER_FOLDER;
     var rootItem = project.rootItem;
-    var voiceoverBin = null;
+    var bin = null;
 
-    // Search for existing Voiceovers bin (type 2 = bin/folder)
+    // Search for an existing bin (type 2 = bin/folder)
     for (var i = 0; i < rootItem.children.numItems; i++) {
-        if (rootItem.children[i].name === "Voiceovers" && rootItem.children[i].type === 2) {
-            voiceoverBin = rootItem.children[i];
+        if (rootItem.children[i].name === binName && rootItem.children[i].type === 2) {
+            bin = rootItem.children[i];
             break;
         }
     }
 
     // Create if not found
-    if (!voiceoverBin) {
-        voiceoverBin = rootItem.createBin("Voiceovers");
+    if (!bin) {
+        bin = rootItem.createBin(binName);
+    }
+
+    return bin;
+}
+
+
+/**
+ * Find or create a bin inside another bin.
+ * @param {Object} parent — Parent bin (ProjectItem)
+ * @param {string} name — Bin name
+ * @returns {Object} The child bin
+ */
+function _getOrCreateSubBin(parent, name) {
+    for (var i = 0; i < parent.children.numItems; i++) {
+        if (parent.children[i].name === name && parent.children[i].type === 2) {
+            return parent.children[i];
+        }
+    }
+    return parent.createBin(name);
+}
+
+
+/**
+ * Import a file into the Voiceovers bin (or another root bin) and return its project item.
+ * Matches on media path so re-imports and sorted bins resolve correctly.
+ * @param {string} filePath — Absolute path to the audio file
+ * @param {string} [subBinName] — Import into this bin inside the root bin instead
+ * @param {string} [rootBinName="Voiceovers"] — Root bin, e.g. "SFX"
+ * @returns {Object} The imported ProjectItem, or null
+ */
+function _importToBin(filePath, subBinName, rootBinName) {
+    var targetBin = _getOrCreateRootBin(rootBinName);
+    if (!targetBin) return null;
+    if (subBinName) targetBin = _getOrCreateSubBin(targetBin, subBinName);
+
+    if (!app.project.importFiles([filePath], false, targetBin, false)) return null;
+
+    var wanted = _normalizePath(filePath);
+    for (var i = targetBin.children.numItems - 1; i >= 0; i--) {
+        var child = targetBin.children[i];
+        if (child.type !== 2 && _normalizePath(child.getMediaPath()) === wanted) {
+            return child;
+        }
     }
 
-    return voiceoverBin;
+    return targetBin.children[targetBin.children.numItems - 1] || null;
+}
+
+function _normalizePath(p) {
+    return String(p || "").replace(/\\/g, "/").toLowerCase();
 }
 
 
@@ -125,23 +226,17 @@ function _getOrCreateVoiceoverBin() {
 /**
  * Import a file into the project's Voiceovers bin.
  * @param {string} filePath — Absolute path to the audio file
+ * @param {string} [subBinName] — Import into this bin inside Voiceovers instead
+ * @param {string} [rootBinName="Voiceovers"] — Root bin to import into, e.g. "SFX"
  * @returns {string} JSON result: {success, name} or {error}
  */
-function importFile(filePath) {
+function importFile(filePath, subBinName, rootBinName) {
     try {
         var project = app.project;
         if (!project) return JSON.stringify({error: "No active project"});
 
-        var voiceoverBin = _getOrCreateVoiceoverBin();
-        if (!voiceoverBin) return JSON.stringify({error: "Could not create Voiceovers bin"});
-
-        // Import the file into the bin
-        var success = project.importFiles([filePath], false, voiceoverBin, false);
-        if (!success) return JSON.stringify({error: "Import failed — check file path and format"});
-
-        // Find the imported item (last item in bin)
-        var importedItem = voiceoverBin.children[voiceoverBin.children.numItems - 1];
-        if (!importedItem) return JSON.stringify({error: "Import succeeded but item not found in bin"});
+        var importedItem = _importToBin(filePath, subBinName, rootBinName);
+        if (!importedItem) return JSON.stringify({error: "Import failed — check file path and format"});
 
         return JSON.stringify({success: true, name: importedItem.name});
 
@@ -154,12 +249,22 @@ function importFile(filePath) {
 // ─── Timeline Insertion ────────────────────────────────────────────────────
 
 /**
- * Import a file and insert it into the active timeline at the playhead position.
+ * Import a file and put it on the active timeline.
+ *   "insert"    — ripple-insert at the playhead (default)
+ *   "overwrite" — overwrite at the playhead, nothing moves
+ *   "replace"   — swap the selected audio clip for the new file, keeping its start and track
  * @param {string} filePath — Absolute path to the audio file
- * @param {number|string} audioTrackIndex — Target audio track (0-based)
- * @returns {string} JSON result: {success, name} or {error}
+ * @param {number|string} audioTrackIndex — Target audio track (0-based), ignored by "replace"
+ * @param {Object} [options]
+ * @param {string} [options.mode="insert"] — "insert" | "overwrite" | "replace"
+ * @param {number} [options.at] — Place at this time (seconds) instead of the playhead
+ * @param {string} [options.bin] — Import into this bin inside Voiceovers
+ * @param {string} [options.rootBin="Voiceovers"] — Root bin to import into, e.g. "SFX"
+ * @param {number} [options.trimIn] — Use the file from this time (seconds)
+ * @param {number} [options.trimOut] — Use the file up to this time (seconds)
+ * @returns {string} JSON result: {success, name, start, track} or {error} — start in seconds
  */
-function importAndInsert(filePath, audioTrackIndex) {
+function importAndInsert(filePath, audioTrackIndex, options) {
     try {
         var project = app.project;
         if (!project) return JSON.stringify({error: "No active project"});
@@ -167,19 +272,31 @@ function importAndInsert(filePath, audioTrackIndex) {
         var sequence = project.activeSequence;
         if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
 
-        // Import the file first
-        var importResult = JSON.parse(importFile(filePath));
-        if (importResult.error) return JSON.stringify(importResult);
+        options = options || {};
+        var mode = options.mode || "insert";
 
-        // Find the imported item in Voiceovers bin
-        var voiceoverBin = _getOrCreateVoiceoverBin();
-        if (!voiceoverBin) return JSON.stringify({error: "Voiceovers bin not found after import"});
+        // Resolve the clip being replaced before importing anything
+        var replaced = null;
+        if (mode === "replace") {
+            replaced = _findSelectedAudioClip(sequence);
+            if (!replaced) return JSON.stringify({error: "Select an audio clip on the timeline to replace"});
+        }
 
-        var projectItem = voiceoverBin.children[voiceoverBin.children.numItems - 1];
-        if (!projectItem) return JSON.stringify({error: "Could not locate imported item"});
+        // Import the file first
+        var projectItem = _importToBin(filePath, options.bin, options.rootBin);
+        if (!projectItem) return JSON.stringify({error: "Import failed — check file path and format"});
+        _applyTrim(projectItem, options.trimIn, options.trimOut);
+
+        if (replaced) {
+            var replaceStart = replaced.clip.start.seconds;
+            replaced.clip.remove(false, false);
+            sequence.audioTracks[replaced.trackIndex].overwriteClip(projectItem, replaceStart);
+            return JSON.stringify({success: true, name: projectItem.name, start: replaceStart, track: replaced.trackIndex});
+        }
 
-        // Get playhead position
-        var time = sequence.getPlayerPosition();
+        // Get target position — explicit time, or the playhead
+        var start = parseFloat(options.at);
+        if (isNaN(start) || start < 0) start = sequence.getPlayerPosition().seconds;
 
         // Parse track index, default to 0
         var trackIdx = parseInt(audioTrackIndex, 10);
@@ -189,11 +306,15 @@ function importAndInsert(filePath, audioTrackIndex) {
         var trackCount = sequence.audioTracks.numTracks;
         if (trackIdx >= trackCount) trackIdx = Math.max(trackCount - 1, 0);
 
-        // Insert into timeline
-        // videoTrackIndex = -1 means no video track (audio-only)
-        sequence.insertClip(projectItem, time, -1, trackIdx);
+        if (mode === "overwrite") {
+            sequence.audioTracks[trackIdx].overwriteClip(projectItem, start);
+        } else {
+            // Insert into timeline
+            // videoTrackIndex = -1 means no video track (audio-only)
+            sequence.insertClip(projectItem, start, -1, trackIdx);
+        }
 
-        return JSON.stringify({success: true, name: projectItem.name});
+        return JSON.stringify({success: true, name: projectItem.name, start: start, track: trackIdx});
 
     } catch (e) {
         return JSON.stringify({error: "Insert error: " + e.toString()});
@@ -201,6 +322,318 @@ function importAndInsert(filePath, audioTrackIndex) {
 }
 
 
+/**
+ * Set a project item's in/out points, so clips placed from it use only that range.
+ * @param {ProjectItem} projectItem
+ * @param {number} [trimIn] — Seconds; left unchanged when not given
+ * @param {number} [trimOut] — Seconds; left unchanged when not given
+ */
+function _applyTrim(projectItem, trimIn, trimOut) {
+    var inPoint = parseFloat(trimIn);
+    var outPoint = parseFloat(trimOut);
+    // 4 = all media types (audio and video)
+    if (!isNaN(inPoint)) projectItem.setInPoint(inPoint, 4);
+    if (!isNaN(outPoint)) projectItem.setOutPoint(outPoint, 4);
+}
+
+/**
+ * Find the clip on a track that starts at the given time.
+ * @param {Object} track — Audio track
+ * @param {number} seconds — Start time
+ * @returns {Object} TrackItem, or null
+ */
+function _clipStartingAt(track, seconds) {
+    for (var i = 0; i < track.clips.numItems; i++) {
+        var clip = track.clips[i];
+        if (Math.abs(clip.start.seconds - seconds) < 0.01) return clip;
+    }
+    return null;
+}
+
+
+/**
+ * Find the first selected clip on an audio track of the sequence.
+ * @param {Object} sequence — Active sequence
+ * @returns {Object} {clip, trackIndex}, or null if no audio clip is selected
+ */
+function _findSelectedAudioClip(sequence) {
+    var selection = sequence.getSelection();
+    if (!selection) return null;
+
+    for (var s = 0; s < selection.length; s++) {
+        var selected = selection[s];
+        for (var t = 0; t < sequence.audioTracks.numTracks; t++) {
+            var track = sequence.audioTracks[t];
+            for (var c = 0; c < track.clips.numItems; c++) {
+                if (track.clips[c].nodeId === selected.nodeId) {
+                    return {clip: track.clips[c], trackIndex: t};
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+
+// ─── Selected Clip ─────────────────────────────────────────────────────────
+
+/**
+ * Describe the audio clip selected on the timeline, so its recording can be re-voiced.
+ * inPoint/outPoint are the part of the media file the clip uses; start/end are
+ * where it sits in the sequence (all in seconds).
+ * @returns {string} JSON result: {success, name, path, inPoint, outPoint, start, end, track, trackCount} or {error}
+ */
+function getSelectedAudioClip() {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify({error: "No active project"});
+
+        var sequence = project.activeSequence;
+        if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
+
+        var selected = _findSelectedAudioClip(sequence);
+        if (!selected) return JSON.stringify({error: "Select an audio clip on the timeline"});
+
+        var clip = selected.clip;
+        var mediaPath = clip.projectItem ? clip.projectItem.getMediaPath() : "";
+        if (!mediaPath) return JSON.stringify({error: "The selected clip has no media file"});
+
+        // In/out points are media time, so a speed change would put the new take out of sync
+        var speed = clip.getSpeed ? clip.getSpeed() : 1;
+        var reversed = clip.isSpeedReversed ? clip.isSpeedReversed() : false;
+        if (reversed || Math.abs(speed - 1) > 0.001) {
+            return JSON.stringify({error: "The selected clip plays at " + (reversed ? "reversed " : "") + Math.round(speed * 100) + "% speed — re-voice needs a clip at 100%"});
+        }
+
+        return JSON.stringify({
+            success: true,
+            name: clip.name,
+            path: mediaPath,
+            inPoint: clip.inPoint.seconds,
+            outPoint: clip.outPoint.seconds,
+            start: clip.start.seconds,
+            end: clip.end.seconds,
+            track: selected.trackIndex,
+            trackCount: sequence.audioTracks.numTracks
+        });
+
+    } catch (e) {
+        return JSON.stringify({error: "Selection error: " + e.toString()});
+    }
+}
+
+
+// ─── Project Selection ─────────────────────────────────────────────────────
+
+/**
+ * Get the media files behind the items selected in the Project panel.
+ * Bins, sequences and other items without a media file are skipped.
+ * @returns {string} JSON: {success, items: [{name, path}]} or {error}
+ */
+function getSelectedProjectMedia() {
+    try {
+        if (!app.project) return JSON.stringify({error: "No active project"});
+        if (typeof app.getCurrentProjectViewSelection !== "function") {
+            return JSON.stringify({error: "This version of Premiere Pro can't read the Project panel selection"});
+        }
+
+        var selection = app.getCurrentProjectViewSelection();
+        var items = [];
+        var seen = {};
+        for (var i = 0; selection && i < selection.length; i++) {
+            var item = selection[i];
+            if (!item || item.type === 2) continue;
+            var mediaPath = item.getMediaPath ? item.getMediaPath() : "";
+            if (!mediaPath || seen[_normalizePath(mediaPath)]) continue;
+            seen[_normalizePath(mediaPath)] = true;
+            items.push({name: item.name, path: mediaPath});
+        }
+
+        if (items.length === 0) return JSON.stringify({error: "Select audio or video clips in the Project panel"});
+        return JSON.stringify({success: true, items: items});
+
+    } catch (e) {
+        return JSON.stringify({error: "Selection error: " + e.toString()});
+    }
+}
+
+
+// ─── Takes ─────────────────────────────────────────────────────────────────
+
+/**
+ * Swap every timeline clip that uses one of a line's other takes for the
+ * chosen take, keeping each clip's start time and track.
+ * @param {Array} takePaths — Media paths of the line's other takes
+ * @param {string} newPath — Absolute path to the chosen take
+ * @returns {string} JSON result: {success, replaced, starts} or {error}
+ */
+function swapTake(takePaths, newPath) {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify({error: "No active project"});
+
+        var sequence = project.activeSequence;
+        if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
+
+        var wanted = {};
+        for (var p = 0; p < takePaths.length; p++) {
+            wanted[_normalizePath(takePaths[p])] = true;
+        }
+
+        // Collect first — removing clips while walking a track shifts its indices
+        var placements = [];
+        for (var t = 0; t < sequence.audioTracks.numTracks; t++) {
+            var track = sequence.audioTracks[t];
+            for (var c = 0; c < track.clips.numItems; c++) {
+                var clip = track.clips[c];
+                if (clip.projectItem && wanted[_normalizePath(clip.projectItem.getMediaPath())]) {
+                    placements.push({clip: clip, trackIndex: t, start: clip.start.seconds});
+                }
+            }
+        }
+
+        if (placements.length === 0) {
+            return JSON.stringify({success: true, replaced: 0, starts: []});
+        }
+
+        var projectItem = _findVoiceoverItem(newPath) || _importToBin(newPath);
+        if (!projectItem) return JSON.stringify({error: "Import failed — check file path and format"});
+
+        var starts = [];
+        for (var i = 0; i < placements.length; i++) {
+            placements[i].clip.remove(false, false);
+            sequence.audioTracks[placements[i].trackIndex].overwriteClip(projectItem, placements[i].start);
+            starts.push(placements[i].start);
+        }
+
+        return JSON.stringify({success: true, replaced: placements.length, starts: starts});
+
+    } catch (e) {
+        return JSON.stringify({error: "Take swap error: " + e.toString()});
+    }
+}
+
+
+/**
+ * Find an already-imported file in the Voiceovers bin.
+ * @param {string} filePath — Absolute path to the media file
+ * @returns {Object} ProjectItem, or null
+ */
+function _findVoiceoverItem(filePath) {
+    var voiceoverBin = _getOrCreateRootBin();
+    if (!voiceoverBin) return null;
+
+    var wanted = _normalizePath(filePath);
+    for (var i = 0; i < voiceoverBin.children.numItems; i++) {
+        var child = voiceoverBin.children[i];
+        if (child.type !== 2 && _normalizePath(child.getMediaPath()) === wanted) return child;
+    }
+
+    return null;
+}
+
+
+// ─── Dialogue Layout ───────────────────────────────────────────────────────
+
+/**
+ * Lay out dialogue lines one after another starting at the playhead.
+ * Lines are overwritten rather than inserted so the rest of the edit
+ * keeps its sync; each line starts after the previous one ends plus the gap.
+ * @param {Array} clips — [{path, track}] in script order (track is 0-based)
+ * @param {number|string} gapSeconds — Pause between consecutive lines
+ * @returns {string} JSON result: {success, count, starts, end, tracksClamped} or {error}
+ */
+function insertDialogue(clips, gapSeconds) {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify({error: "No active project"});
+
+        var sequence = project.activeSequence;
+        if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
+
+        var gap = parseFloat(gapSeconds);
+        if (isNaN(gap) || gap < 0) gap = 0;
+
+        var trackCount = sequence.audioTracks.numTracks;
+        if (trackCount === 0) return JSON.stringify({error: "Sequence has no audio tracks"});
+
+        var cursor = sequence.getPlayerPosition().seconds;
+        var tracksClamped = false;
+        var starts = [];
+
+        for (var i = 0; i < clips.length; i++) {
+            var projectItem = _importToBin(clips[i].path);
+            if (!projectItem) return JSON.stringify({error: "Import failed for line " + (i + 1)});
+
+            var trackIdx = parseInt(clips[i].track, 10);
+            if (isNaN(trackIdx) || trackIdx < 0) trackIdx = 0;
+            if (trackIdx >= trackCount) {
+                trackIdx = trackCount - 1;
+                tracksClamped = true;
+            }
+
+            var track = sequence.audioTracks[trackIdx];
+            track.overwriteClip(projectItem, cursor);
+
+            var placed = _clipStartingAt(track, cursor);
+            if (!placed) return JSON.stringify({error: "Could not place line " + (i + 1) + " on the timeline"});
+
+            starts.push(cursor);
+            cursor = placed.end.seconds + gap;
+        }
+
+        return JSON.stringify({
+            success: true,
+            count: clips.length,
+            starts: starts,
+            end: cursor - gap,
+            tracksClamped: tracksClamped
+        });
+
+    } catch (e) {
+        return JSON.stringify({error: "Dialogue error: " + e.toString()});
+    }
+}
+
+
+// ─── Captions ──────────────────────────────────────────────────────────────
+
+/**
+ * Import a caption file and add it to the active sequence as a caption track.
+ * Needs Premiere Pro 2022 or later (Sequence.createCaptionTrack).
+ * @param {string} captionPath — Absolute path to an .srt file
+ * @param {number|string} startSeconds — Where the matching voiceover starts
+ * @returns {string} JSON result: {success, name} or {error}
+ */
+function importCaptions(captionPath, startSeconds) {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify({error: "No active project"});
+
+        var sequence = project.activeSequence;
+        if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
+
+        var captionItem = _importToBin(captionPath);
+        if (!captionItem) return JSON.stringify({error: "Caption import failed — check file path"});
+
+        if (typeof sequence.createCaptionTrack !== "function") {
+            return JSON.stringify({error: "Caption tracks need Premiere Pro 2022 or later — captions imported to Voiceovers bin"});
+        }
+
+        var start = parseFloat(startSeconds);
+        if (isNaN(start) || start < 0) start = 0;
+
+        sequence.createCaptionTrack(captionItem, start, Sequence.CAPTION_FORMAT_SUBTITLE);
+
+        return JSON.stringify({success: true, name: captionItem.name});
+
+    } catch (e) {
+        return JSON.stringify({error: "Caption error: " + e.toString()});
+    }
+}
+
+
 // ─── Audio Track Info ──────────────────────────────────────────────────────
 
 /**
@@ -232,6 +665,79 @@ function getAudioTracks() {
 }
 
 
+// ─── Sequence Markers ──────────────────────────────────────────────────────
+
+/**
+ * List the active sequence's markers in timeline order.
+ * @returns {string} JSON array of {id, name, comments, start, end, duration} (times in seconds)
+ */
+function getSequenceMarkers() {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify([]);
+
+        var sequence = project.activeSequence;
+        if (!sequence || !sequence.markers) return JSON.stringify([]);
+
+        var markers = [];
+        var marker = sequence.markers.getFirstMarker();
+        while (marker) {
+            var start = marker.start.seconds;
+            var end = marker.end.seconds;
+            markers.push({
+                id: marker.guid || (start + "_" + marker.name),
+                name: marker.name || "",
+                comments: marker.comments || "",
+                start: start,
+                end: end,
+                duration: Math.max(end - start, 0)
+            });
+            marker = sequence.markers.getNextMarker(marker);
+        }
+
+        return JSON.stringify(markers);
+
+    } catch (e) {
+        return JSON.stringify([]);
+    }
+}
+
+
+// ─── Sequence In/Out ───────────────────────────────────────────────────────
+
+/**
+ * Get the active sequence's in/out range.
+ * @returns {string} JSON result: {success, inPoint, outPoint, duration} (seconds) or {error}
+ */
+function getSequenceInOut() {
+    try {
+        var project = app.project;
+        if (!project) return JSON.stringify({error: "No active project"});
+
+        var sequence = project.activeSequence;
+        if (!sequence) return JSON.stringify({error: "No active sequence — open a sequence first"});
+
+        // *AsTime variants exist from Premiere Pro 14; older versions return seconds as strings
+        var inPoint = sequence.getInPointAsTime ? sequence.getInPointAsTime().seconds : parseFloat(sequence.getInPoint());
+        var outPoint = sequence.getOutPointAsTime ? sequence.getOutPointAsTime().seconds : parseFloat(sequence.getOutPoint());
+
+        if (isNaN(inPoint) || isNaN(outPoint) || outPoint <= inPoint) {
+            return JSON.stringify({error: "Set in and out points on the sequence first"});
+        }
+
+        return JSON.stringify({
+            success: true,
+            inPoint: inPoint,
+            outPoint: outPoint,
+            duration: outPoint - inPoint
+        });
+
+    } catch (e) {
+        return JSON.stringify({error: "In/out error: " + e.toString()});
+    }
+}
+
+
 // ─── Project Path ──────────────────────────────────────────────────────────
 
 /**